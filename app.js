@@ -7,17 +7,16 @@ require('dotenv').config();
 const express = require("express");
 const session = require("express-session");
 const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
 const knex = require("knex");
+const ExcelJS = require("exceljs");
+const { SEASONS, MAX_PROJECTS_PER_CHILD, validateRegistration, validateSession, validateSessionChoice, validateSignature, validateParent, validateChild, hasErrors, isBlank, normalizePhone, parseDate, ageFromBirthdate } = require("./validation");
+const { TEMPLATE_KEYS, TEMPLATE_LABELS, SUPPLY_LIST_TEMPLATES, CALENDAR_TEMPLATES, PLACEHOLDERS, MESSAGE_PLACEHOLDERS, SAMPLE_VALUES, DEFAULT_TEMPLATES, escapeHtml, renderTemplate, unknownPlaceholders, unknownMessagePlaceholders } = require("./emails");
 
-// Initialize bcrypt for password hashing (optional dependency)
-let bcrypt = null;
-let bcryptAvailable = false;
-try {
-    bcrypt = require('bcryptjs');
-    bcryptAvailable = true;
-} catch (e) {
-    console.warn('Optional dependency bcryptjs is not installed.');
-}
+// bcrypt for password hashing - staff passwords are only ever stored as bcrypt hashes
+const bcrypt = require('bcryptjs');
+const { sessionEvents, buildCalendar } = require('./ical');
 
 // --- OPTIONAL EMAIL SETUP FOR NOTIFICATIONS ---
 // Initialize nodemailer for sending confirmation emails
@@ -28,35 +27,44 @@ try {
     console.warn('Optional dependency nodemailer is not installed. Emails will not send. Run: npm install nodemailer');
 }
 
-// Configure Email Transporter for Gmail service
+// Configure the Email Transporter
+// SMTP_HOST selects any SMTP server (e.g. a local mail catcher on port 1025); otherwise Gmail is used
 // NOTE: For Gmail, you often need an "App Password" if 2FA is on.
-const transporter = nodemailer ? nodemailer.createTransport({
-    service: 'gmail', // or your email provider
-    auth: {
-        user: process.env.EMAIL_USER, 
-        pass: process.env.EMAIL_PASS
+function createMailTransport() {
+    if (!nodemailer) return null;
+    if (process.env.SMTP_HOST) {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT || 587),
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
     }
-}) : null;
+    if (!process.env.EMAIL_USER) return null;
+    return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+            user: process.env.EMAIL_USER, 
+            pass: process.env.EMAIL_PASS
+        }
+    });
+}
+const transporter = createMailTransport();
+const EMAIL_FROM = process.env.EMAIL_FROM || process.env.EMAIL_USER || process.env.SMTP_USER;
 
-// Helper function: Send Email
-// Sends email notifications to users and admin
-// If nodemailer is not installed, it logs the email to console instead
-async function sendEmail(to, subject, text) {
+// Helper function: Hand one email to the transport
+// Throws if sending fails, so the queue can try again later
+// With no transport configured the email is logged to the console instead (returns false)
+// `attachments` are nodemailer attachments ({ filename, content, contentType })
+async function deliverEmail({ to, subject, text, html, attachments = [] }) {
     if (!transporter) {
-        console.log(`[Mock Email] To: ${to} | Subject: ${subject} | Body: ${text}`);
-        return;
-    }
-    try {
-        await transporter.sendMail({
-            from: process.env.EMAIL_USER,
-            to: to,
-            subject: subject,
-            text: text
-        });
-        console.log(`Email sent to ${to}`);
-    } catch (err) {
-        console.error("Failed to send email:", err);
+        const attached = attachments.length > 0 ? ` | Attachments: ${attachments.map(a => a.filename).join(', ')}` : '';
+        console.log(`[Mock Email] To: ${to} | Subject: ${subject} | Body: ${text}${attached}`);
+        return false;
     }
+    await transporter.sendMail({ from: EMAIL_FROM, to, subject, text, html: html || undefined, attachments });
+    console.log(`Email sent to ${to}`);
+    return true;
 }
 
 // Admin Email for Notifications - used when sending alerts to admin
@@ -87,6 +95,7 @@ try {
     db.raw('SELECT 1').then(async () => {
         dbConnected = true;
         console.log('Database connected successfully.');
+        await ensureSchema().catch((err) => console.error('Schema update failed:', err.message));
     }).catch((err) => {
         console.warn('Database connection failed:', err.message);
     });
@@ -94,711 +103,6063 @@ try {
     console.warn('Failed to initialize database:', err.message);
 }
 
-// --- MIDDLEWARE CONFIGURATION ---
-// Serve static images from the /images folder
-app.use('/images', express.static(path.join(__dirname, 'images')));
-
-// Set EJS as the view engine for rendering HTML templates
-app.set("view engine", "ejs");
+// --- SCHEMA UPDATES ---
+// Adds the columns and tables that newer features rely on.
+// Every step checks first, so this is safe to run on each startup.
 
-// Middleware to parse form data (URL-encoded and JSON)
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+// Helper function: Give a table created without one a cascading foreign key to the rows it belongs to
+// Rows already pointing at purged records are removed first, as the key would have done. The removed
+// rows are logged and kept in the audit log, and nothing is removed unless the key is added too.
+async function ensureCascadeForeignKey(table, column, refTable, refColumn) {
+    const existing = await db('information_schema.table_constraints as c')
+        .join('information_schema.key_column_usage as k', function () {
+            this.on('c.constraint_name', '=', 'k.constraint_name').andOn('c.table_name', '=', 'k.table_name');
+        })
+        .where({ 'c.constraint_type': 'FOREIGN KEY', 'c.table_name': table, 'k.column_name': column })
+        .first('c.constraint_name');
+    if (existing) return;
 
-// Configure session management to track logged-in users
-app.use(session({
-    secret: process.env.SESSION_SECRET || 'fallback-secret-key',
-    resave: false,
-    saveUninitialized: false,
-}));
+    await db.transaction(async (trx) => {
+        const orphans = await trx(table).whereNotIn(column, trx(refTable).select(refColumn)).del().returning('*');
+        if (orphans.length > 0) {
+            console.warn(`Removed ${orphans.length} ${table} row(s) whose ${column} no longer exists in ${refTable}, before adding its foreign key. They are kept in the audit log.`);
+            await recordAudit(trx, null, { action: 'schema.remove_orphans', entityType: 'schema', before: { table, column, rows: orphans }, after: { removed: orphans.length } });
+        }
+        await trx.schema.alterTable(table, (t) => { t.foreign(column).references(refColumn).inTable(refTable).onDelete('CASCADE'); });
+    });
+}
 
-// Make user data available to all views (for navigation/auth checks)
-app.use((req, res, next) => {
-    res.locals.user = req.session.user || null;
-    next();
-});
+async function ensureSchema() {
+    // Waitlist queue position for registrations placed past session capacity
+    if (!(await db.schema.hasColumn('registrations', 'waitlist_position'))) {
+        await db.schema.alterTable('registrations', (t) => { t.integer('waitlist_position'); });
+    }
 
-// --- PUBLIC ROUTES (NO LOGIN REQUIRED) ---
-// Home page - displays sewing camp information
-app.get("/", (req, res) => res.render("index"));
+    // When the one-week payment clock started (set again when promoted off the waitlist)
+    if (!(await db.schema.hasColumn('registrations', 'pending_since'))) {
+        await db.schema.alterTable('registrations', (t) => { t.timestamp('pending_since'); });
+    }
+    // Pending registrations from before the clock existed start it now, rather than counting from when they
+    // were made (which would release every older pending registration at once)
+    await db('registrations').where('status', 'pending').whereNull('pending_since').update({ pending_since: db.fn.now() });
 
-// Camp information page
-app.get("/campinfo", (req, res) => res.render("campinfo"));
+    // Payment ledger - one row per payment received for a registration
+    if (!(await db.schema.hasTable('payments'))) {
+        await db.schema.createTable('payments', (t) => {
+            t.increments('paymentid').primary();
+            t.integer('reg_id').notNullable().references('id').inTable('registrations').onDelete('CASCADE');
+            t.decimal('amount', 10, 2).notNullable();
+            t.string('method', 20).notNullable();
+            t.date('paid_on').notNullable();
+            t.string('reference', 100);
+            t.string('recorded_by', 100);
+            t.timestamp('created_at').defaultTo(db.fn.now());
+        });
+    }
 
-// Schedule/Sessions page - displays all available sewing camp sessions
-// Fetches sessions from database and calculates enrollment count
-app.get("/campschedule", async (req, res) => {
-    if (!dbConnected) {
-        return res.render("campschedule", { 
-            sessions: [], 
-            user: req.session.user || null 
+    // Session pricing - base price plus optional early-bird price and cutoff date
+    if (!(await db.schema.hasColumn('Sessions', 'price'))) {
+        await db.schema.alterTable('Sessions', (t) => {
+            t.decimal('price', 10, 2);
+            t.decimal('earlybird_price', 10, 2);
+            t.date('earlybird_deadline');
         });
     }
-    try {
-        // Query sessions with enrollment counts (excluding rejected registrations)
-        const sessions = await db('Sessions')
-            .leftJoin('registrations', 'Sessions.Sessionid', 'registrations.Sessionid')
-            .select(
-                'Sessions.Sessionid',
-                'Sessions.Sessionname',
-                'Sessions.Sessiondesc',
-                'Sessions.startdate',
-                'Sessions.enddate',
-                'Sessions.starttime',
-                'Sessions.endtime',
-                'Sessions.numseats',
-                'Sessions.season', 
-                db.raw("COUNT(CASE WHEN registrations.status != 'rejected' THEN 1 END) as enrolled_count")
-            )
-            .groupBy('Sessions.Sessionid')
-            .orderBy('Sessions.startdate', 'asc');
-        
-        res.render("campschedule", { 
-            sessions: sessions, 
-            user: req.session.user || null 
+
+    // Amount owed, locked in when the registration is made (early-bird and sibling discounts applied)
+    if (!(await db.schema.hasColumn('registrations', 'amount_due'))) {
+        await db.schema.alterTable('registrations', (t) => {
+            t.decimal('amount_due', 10, 2);
+            t.string('price_note', 100);
         });
-    } catch (err) {
-        console.error("Error fetching schedule:", err);
-        res.render("campschedule", { 
-            sessions: [], 
-            user: req.session.user || null 
+    }
+
+    // One-time sign-in links for the parent portal (only a hash of the token is stored)
+    if (!(await db.schema.hasTable('parent_login_tokens'))) {
+        await db.schema.createTable('parent_login_tokens', (t) => {
+            t.increments('tokenid').primary();
+            t.string('token_hash', 64).notNullable().unique();
+            t.string('email', 255).notNullable();
+            t.timestamp('expires_at').notNullable();
+            t.timestamp('used_at');
+            t.timestamp('created_at').defaultTo(db.fn.now());
         });
     }
-});
 
-// Contact us page
-app.get("/contactus", (req, res) => res.render("contactus"));
+    // Cancellation and session switch requests sent from the parent portal to the admin queue
+    if (!(await db.schema.hasTable('change_requests'))) {
+        await db.schema.createTable('change_requests', (t) => {
+            t.increments('requestid').primary();
+            t.integer('reg_id').notNullable().references('id').inTable('registrations').onDelete('CASCADE');
+            t.string('request_type', 20).notNullable();
+            t.integer('target_sessionid');
+            t.string('message', 500);
+            t.string('status', 20).notNullable().defaultTo('open');
+            t.string('resolved_by', 100);
+            t.timestamp('resolved_at');
+            t.timestamp('created_at').defaultTo(db.fn.now());
+        });
+    }
 
-// Registration information page
-app.get("/registrations", (req, res) => res.render("registrations"));
+    // Waiver versions - published text is never edited; a new version is published instead
+    if (!(await db.schema.hasTable('waiver_versions'))) {
+        await db.schema.createTable('waiver_versions', (t) => {
+            t.increments('versionid').primary();
+            t.integer('version_number').notNullable().unique();
+            t.string('title', 200).notNullable();
+            t.text('body').notNullable();
+            t.string('published_by', 100);
+            t.timestamp('published_at').defaultTo(db.fn.now());
+        });
+        // Version 1 is the waiver text the registration form has always shown
+        const defaultBody = fs.readFileSync(DEFAULT_WAIVER_FILE, 'utf8').replace(/^<!--[\s\S]*?-->\s*/, '');
+        await db('waiver_versions').insert({ version_number: 1, title: 'Waiver and Liability Release', body: defaultBody, published_by: 'system' });
+    }
 
-// Redirect old registration path to new one
-app.get("/registration", (req, res) => res.redirect("/register"));
+    // Signed waivers - one per registration: which version, who signed, how, when and from where
+    if (!(await db.schema.hasTable('waiver_signatures'))) {
+        await db.schema.createTable('waiver_signatures', (t) => {
+            t.increments('signatureid').primary();
+            t.integer('reg_id').notNullable().references('id').inTable('registrations').onDelete('CASCADE');
+            t.integer('versionid').notNullable().references('versionid').inTable('waiver_versions');
+            t.string('signer_name', 200).notNullable();
+            t.string('signature_type', 10).notNullable();
+            t.text('signature_data').notNullable();
+            t.string('ip_address', 64);
+            t.string('user_agent', 300);
+            t.timestamp('signed_at').defaultTo(db.fn.now());
+        });
+    }
 
-// --- REGISTRATION ROUTES (PUBLIC) ---
+    // Medical details and an emergency contact for each child (kept with the child across seasons)
+    if (!(await db.schema.hasColumn('child_info', 'allergies'))) {
+        await db.schema.alterTable('child_info', (t) => {
+            t.text('allergies');
+            t.text('medications');
+            t.text('medical_conditions');
+            t.string('emergency_name', 100);
+            t.string('emergency_relation', 50);
+            t.string('emergency_phone', 20);
+        });
+    }
 
-// GET: Display registration form with available sessions
-app.get("/register", async (req, res) => {
-    let sessions = [];
-    if (dbConnected) {
-        try {
-            sessions = await db('Sessions')
-                .leftJoin('registrations', 'Sessions.Sessionid', 'registrations.Sessionid')
-                .select(
-                    'Sessions.*', 
-                    db.raw("COUNT(CASE WHEN registrations.status != 'rejected' THEN 1 END) as enrolled_count")
-                )
-                .groupBy('Sessions.Sessionid')
-                .orderBy('startdate', 'asc');
-        } catch (err) {
-            console.error("Error fetching sessions for register:", err);
+    // Staff roles and disabled accounts. Existing admins become owners; other existing
+    // accounts become read-only until an owner gives them a role
+    if (!(await db.schema.hasColumn('authentication', 'role'))) {
+        await db.schema.alterTable('authentication', (t) => {
+            t.string('role', 20).notNullable().defaultTo('readonly');
+            t.boolean('disabled').notNullable().defaultTo(false);
+        });
+        if (await db.schema.hasColumn('authentication', 'is_admin')) {
+            await db('authentication').where('is_admin', true).update({ role: 'owner' });
+        }
+        // Never leave the camp without an owner - promote the first account if nobody was an admin
+        const owner = await db('authentication').where('role', 'owner').first();
+        if (!owner) {
+            const first = await db('authentication').orderBy('id', 'asc').first();
+            if (first) await db('authentication').where('id', first.id).update({ role: 'owner' });
         }
     }
-    res.render("register", { 
-        success_message: "", 
-        error_message: "", 
-        sessions: sessions 
-    });
-});
 
-// POST: Handle new participant registration
-// Creates parent info, address, child info, and registration records
-// Sends email notifications to parent and admin
-app.post("/register", async (req, res) => {
-    const { first_name, last_name, birthdate, age, parent_first_name, parent_last_name, email, phone, street_address, city, state, zipcode, special_requests, season, selected_session } = req.body;
+    // Sessions each instructor is assigned to (their rosters and notes)
+    if (!(await db.schema.hasTable('staff_sessions'))) {
+        await db.schema.createTable('staff_sessions', (t) => {
+            t.integer('userid').notNullable().references('id').inTable('authentication').onDelete('CASCADE');
+            t.integer('sessionid').notNullable().references('Sessionid').inTable('Sessions').onDelete('CASCADE');
+            t.primary(['userid', 'sessionid']);
+        });
+    }
 
-    if (!dbConnected) {
-        return res.render("register", { success_message: "", error_message: "Database unavailable.", sessions: [] });
+    // Trash - deleted registrations and sessions are hidden, not removed, until purged
+    if (!(await db.schema.hasColumn('registrations', 'deleted_at'))) {
+        await db.schema.alterTable('registrations', (t) => {
+            t.timestamp('deleted_at');
+            t.string('deleted_by', 100);
+        });
+    }
+    if (!(await db.schema.hasColumn('Sessions', 'deleted_at'))) {
+        await db.schema.alterTable('Sessions', (t) => {
+            t.timestamp('deleted_at');
+            t.string('deleted_by', 100);
+        });
     }
 
-    try {
-        await db.transaction(async (trx) => {
-            // Insert parent information
-            const [parentRes] = await trx('parent_info').insert({ parentfirstname: parent_first_name, parentlastname: parent_last_name, email: email, cellphone: phone, waiver: 'Y' }).returning('parentid');
-            const parentId = parentRes?.parentid || parentRes;
+    // Audit trail of admin changes. reg_id and session_id are plain numbers (no foreign key)
+    // so the history of a deleted registration or session is kept
+    if (!(await db.schema.hasTable('audit_log'))) {
+        await db.schema.createTable('audit_log', (t) => {
+            t.increments('auditid').primary();
+            t.string('actor', 100).notNullable();
+            t.string('action', 50).notNullable();
+            t.string('route', 200);
+            t.string('entity_type', 30).notNullable();
+            t.integer('entity_id');
+            t.integer('reg_id').index();
+            t.integer('session_id').index();
+            t.jsonb('before_data');
+            t.jsonb('after_data');
+            t.timestamp('created_at').defaultTo(db.fn.now()).index();
+        });
+    }
 
-            // Insert street address linked to parent
-            const [streetRes] = await trx('street').insert({ streetaddress: street_address, city: city, state: state, zipcode: zipcode, parentid: parentId }).returning('addressid');
-            const streetId = streetRes?.addressid || streetRes;
+    // Email templates edited by admins (a template with no row here uses its default from emails.js)
+    if (!(await db.schema.hasTable('email_templates'))) {
+        await db.schema.createTable('email_templates', (t) => {
+            t.string('template_key', 50).primary();
+            t.string('subject', 200).notNullable();
+            t.text('body_text').notNullable();
+            t.text('body_html');
+            t.string('updated_by', 100);
+            t.timestamp('updated_at').defaultTo(db.fn.now());
+        });
+    }
 
-            // Insert class information (special requests)
-            const [classRes] = await trx('class_info').insert({ classinformation: special_requests, classdate: new Date() }).returning('classid');
-            const classId = classRes?.classid || classRes;
+    // Outbound email queue, kept afterwards as the delivery log
+    // status: queued -> sending -> sent, or back to queued to retry, or failed once out of attempts
+    if (!(await db.schema.hasTable('email_queue'))) {
+        await db.schema.createTable('email_queue', (t) => {
+            t.increments('emailid').primary();
+            t.string('to_address', 255).notNullable();
+            t.string('subject', 200).notNullable();
+            t.text('body_text').notNullable();
+            t.text('body_html');
+            t.string('template_key', 50);
+            t.integer('reg_id').index();
+            t.string('status', 20).notNullable().defaultTo('queued').index();
+            t.integer('attempts').notNullable().defaultTo(0);
+            t.text('last_error');
+            t.timestamp('next_attempt_at').defaultTo(db.fn.now());
+            t.timestamp('sent_at');
+            t.timestamp('created_at').defaultTo(db.fn.now()).index();
+        });
+    }
 
-            // Insert child information linked to parent
-            const [childRes] = await trx('child_info').insert({ childfirstname: first_name, childlastname: last_name, childage: age ? parseInt(age) : null, parentid: parentId, classid: classId }).returning('childid');
-            const childId = childRes?.childid || childRes;
+    // Emails that go out with a session's supply list attached (looked up when the email is sent)
+    if (!(await db.schema.hasColumn('email_queue', 'supply_list_sessionid'))) {
+        await db.schema.alterTable('email_queue', (t) => { t.integer('supply_list_sessionid'); });
+    }
 
-            // Insert registration with pending status (awaiting admin approval)
-            await trx('registrations').insert({ 
-                first_name, 
-                last_name, 
-                email, 
-                phone, 
-                birthdate, 
-                child_id: childId, 
-                street_id: streetId, 
-                class_id: classId, 
-                Sessionid: selected_session ? parseInt(selected_session) : null,
-                created_at: new Date(),
-                status: 'pending'
-            });
+    // Settings admins can change from the admin area, stored as text by key
+    if (!(await db.schema.hasTable('settings'))) {
+        await db.schema.createTable('settings', (t) => {
+            t.string('setting_key', 50).primary();
+            t.text('value');
+            t.string('updated_by', 100);
+            t.timestamp('updated_at').defaultTo(db.fn.now());
+        });
+    }
 
-            // --- SEND NOTIFICATION EMAILS ---
-            if (selected_session) {
-                // Fetch session details for email
-                const sessionDetails = await trx('Sessions').where('Sessionid', selected_session).first();
-                if (sessionDetails) {
-                    const sessionStr = `${sessionDetails.Sessionname} (${new Date(sessionDetails.startdate).toLocaleDateString()} - ${new Date(sessionDetails.enddate).toLocaleDateString()})`;
+    // Supply list file for each session, attached to approval and camp reminder emails
+    if (!(await db.schema.hasTable('session_supply_lists'))) {
+        await db.schema.createTable('session_supply_lists', (t) => {
+            t.integer('sessionid').primary().references('Sessionid').inTable('Sessions').onDelete('CASCADE');
+            t.string('filename', 200).notNullable();
+            t.string('content_type', 100).notNullable();
+            t.text('data').notNullable(); // base64
+            t.string('uploaded_by', 100);
+            t.timestamp('uploaded_at').defaultTo(db.fn.now());
+        });
+    }
 
-                    // Email to Parent - confirmation of registration received
-                    const parentMsg = `Hello! ${parent_first_name} ${parent_last_name} we are so excited for ${first_name} ${last_name} to join us! We will let you know when payment has been recieved and we will reserve the spot for this session: ${sessionStr}`;
-                    sendEmail(email, "Registration Received - Sewing Camp", parentMsg);
+    // Scheduled reminders already sent, so each registration gets each kind only once
+    if (!(await db.schema.hasTable('reminders_sent'))) {
+        await db.schema.createTable('reminders_sent', (t) => {
+            t.integer('reg_id').notNullable().references('id').inTable('registrations').onDelete('CASCADE');
+            t.string('reminder_type', 20).notNullable();
+            t.integer('emailid');
+            t.timestamp('sent_at').defaultTo(db.fn.now());
+            t.primary(['reg_id', 'reminder_type']);
+        });
+    }
 
-                    // Email to Admin - notify about new pending registration
-                    const adminMsg = `You have a new participant in the queue awaiting your approval for ${sessionStr}.`;
-                    sendEmail(ADMIN_EMAIL, "New Participant in Queue", adminMsg);
-                }
-            }
+    // Announcements sent from the admin message screen; each recipient's copy is in email_queue
+    if (!(await db.schema.hasTable('announcements'))) {
+        await db.schema.createTable('announcements', (t) => {
+            t.increments('announcementid').primary();
+            t.string('subject', 200).notNullable();
+            t.text('body').notNullable();
+            t.jsonb('audience');
+            t.string('audience_label', 500);
+            t.integer('recipient_count').notNullable().defaultTo(0);
+            t.string('sent_by', 100);
+            t.timestamp('sent_at').defaultTo(db.fn.now());
         });
-        
-        // Fetch updated sessions list for re-rendering form
-        const sessions = await db('Sessions')
-            .leftJoin('registrations', 'Sessions.Sessionid', 'registrations.Sessionid')
-            .select('Sessions.*', db.raw("COUNT(CASE WHEN registrations.status != 'rejected' THEN 1 END) as enrolled_count"))
-            .groupBy('Sessions.Sessionid')
-            .orderBy('startdate', 'asc');
+    }
+    if (!(await db.schema.hasColumn('email_queue', 'announcementid'))) {
+        await db.schema.alterTable('email_queue', (t) => { t.integer('announcementid').index(); });
+    }
 
-        res.render("register", { success_message: "Registration successful! You will receive a confirmation message shortly.", error_message: "", sessions: sessions });
+    // Daily attendance: one row per child per session day once staff have marked them
+    if (!(await db.schema.hasTable('attendance'))) {
+        await db.schema.createTable('attendance', (t) => {
+            t.integer('reg_id').notNullable().references('id').inTable('registrations').onDelete('CASCADE');
+            t.date('attendance_date').notNullable();
+            t.string('status', 20).notNullable(); // present, late or absent
+            t.string('picked_up_by', 100);
+            t.string('marked_by', 100);
+            t.timestamp('marked_at').defaultTo(db.fn.now());
+            t.timestamp('absence_notified_at');
+            t.primary(['reg_id', 'attendance_date']);
+        });
+    }
+    await ensureCascadeForeignKey('attendance', 'reg_id', 'registrations', 'id');
 
-    } catch (err) {
-        console.error("Registration error:", err);
-        let sessions = [];
-        try { 
-            sessions = await db('Sessions')
-                .leftJoin('registrations', 'Sessions.Sessionid', 'registrations.Sessionid')
-                .select('Sessions.*', db.raw("COUNT(CASE WHEN registrations.status != 'rejected' THEN 1 END) as enrolled_count"))
-                .groupBy('Sessions.Sessionid')
-                .orderBy('startdate', 'asc');
-        } catch(e){}
-        
-        res.render("register", { success_message: "", error_message: "Error saving registration.", sessions: sessions });
+    // Project catalog: the projects campers can make, which sessions offer them, and each child's choices
+    if (!(await db.schema.hasTable('projects'))) {
+        await db.schema.createTable('projects', (t) => {
+            t.increments('projectid').primary();
+            t.string('name', 100).notNullable().unique();
+            t.string('image', 200); // file name in /images
+            t.string('difficulty', 20).notNullable().defaultTo('beginner');
+            t.text('supply_list');
+            t.string('season', 20); // null when offered in any season
+            t.boolean('active').notNullable().defaultTo(true);
+            t.timestamp('created_at').defaultTo(db.fn.now());
+        });
+        await db('projects').insert(DEFAULT_PROJECTS);
     }
-}); 
+    if (!(await db.schema.hasTable('session_projects'))) {
+        await db.schema.createTable('session_projects', (t) => {
+            t.integer('sessionid').notNullable().references('Sessionid').inTable('Sessions').onDelete('CASCADE');
+            t.integer('projectid').notNullable();
+            t.primary(['sessionid', 'projectid']);
+        });
+    }
+    if (!(await db.schema.hasTable('registration_projects'))) {
+        await db.schema.createTable('registration_projects', (t) => {
+            t.integer('reg_id').notNullable().references('id').inTable('registrations').onDelete('CASCADE');
+            t.integer('projectid').notNullable();
+            t.string('status', 20).notNullable().defaultTo('chosen'); // chosen, in_progress or completed
+            t.timestamp('completed_at');
+            t.string('updated_by', 100);
+            t.timestamp('updated_at').defaultTo(db.fn.now());
+            t.primary(['reg_id', 'projectid']);
+        });
+    }
+    await ensureCascadeForeignKey('session_projects', 'sessionid', 'Sessions', 'Sessionid');
+    await ensureCascadeForeignKey('registration_projects', 'reg_id', 'registrations', 'id');
 
-// --- AUTHENTICATION ROUTES ---
-// GET: Display login page
-app.get('/login', (req, res) => {
-    if (req.session.user) return res.redirect('/admin');
-    res.render('login', { success_message: '', error_message: '' });
-});
+    // Calendar feeds: each account's private feed address, and approval emails carrying the child's session days
+    if (!(await db.schema.hasColumn('authentication', 'calendar_token'))) {
+        await db.schema.alterTable('authentication', (t) => { t.string('calendar_token', 64).unique(); });
+    }
+    if (!(await db.schema.hasColumn('email_queue', 'calendar_reg_id'))) {
+        await db.schema.alterTable('email_queue', (t) => { t.integer('calendar_reg_id'); });
+    }
 
-// POST: Handle login credentials
-// Validates username and password against authentication table
-// Supports both bcrypt-hashed passwords and plain text passwords
-app.post('/login', async (req, res) => {
-    const { username, password } = req.body;
-    if (!dbConnected) return res.render('login', { success_message: '', error_message: 'Database unavailable.' });
+    // Session transfers: each move of a registration to another session, who made it and why
+    if (!(await db.schema.hasTable('registration_transfers'))) {
+        await db.schema.createTable('registration_transfers', (t) => {
+            t.increments('id').primary();
+            t.integer('reg_id').notNullable().references('id').inTable('registrations').onDelete('CASCADE');
+            t.integer('from_session');
+            t.integer('to_session').notNullable();
+            t.string('from_status', 20);
+            t.string('to_status', 20);
+            t.text('reason').notNullable();
+            t.string('transferred_by', 100);
+            t.timestamp('transferred_at').defaultTo(db.fn.now());
+        });
+    }
+    await ensureCascadeForeignKey('registration_transfers', 'reg_id', 'registrations', 'id');
 
-    try {
-        // Fetch user from authentication table
-        const user = await db('authentication').where({ username }).first();
-        if (!user) return res.render('login', { success_message: '', error_message: 'Invalid credentials.' });
+    // Cancellations: when and why a registration was cancelled, and the refund given
+    if (!(await db.schema.hasColumn('registrations', 'cancelled_at'))) {
+        await db.schema.alterTable('registrations', (t) => {
+            t.timestamp('cancelled_at');
+            t.string('cancelled_by', 100);
+            t.text('cancel_reason');
+            t.decimal('refund_amount', 10, 2);
+        });
+    }
+}
 
-        // Check password - supports both bcrypt and plain text
-        let match = false;
-        if (bcryptAvailable && user.password.startsWith('$2')) {
-            match = await bcrypt.compare(password, user.password);
-        } else {
-            match = (password === user.password);
-        }
+// --- AUDIT LOG HELPERS ---
+// Each change made from the admin pages is written to audit_log with who made it, the route,
+// and the record before and after, in the same transaction as the change itself.
 
-        // If password matches, create session and redirect to admin dashboard
-        if (match) {
-            req.session.user = { id: user.id, username: user.username, is_admin: user.is_admin };
-            return res.redirect('/admin');
-        } else {
-            return res.render('login', { success_message: '', error_message: 'Invalid credentials.' });
-        }
-    } catch (err) {
-        console.error('Login error:', err);
-        res.render('login', { success_message: '', error_message: 'Login error.' });
-    }
-});
+// Helper function: Record one change in the audit log
+// `req` gives the actor and route; background jobs pass null and are logged as 'system'
+async function recordAudit(conn, req, { action, entityType, entityId = null, regId = null, sessionId = null, before = null, after = null }) {
+    await conn('audit_log').insert({
+        actor: req && req.session.user ? req.session.user.username : 'system',
+        action,
+        route: req ? `${req.method} ${req.originalUrl}`.slice(0, 200) : null,
+        entity_type: entityType,
+        entity_id: entityId,
+        reg_id: regId,
+        session_id: sessionId,
+        before_data: before ? JSON.stringify(before) : null,
+        after_data: after ? JSON.stringify(after) : null
+    });
+}
 
-// GET: Logout - destroy session and redirect to home
-app.get('/logout', (req, res) => {
-    req.session.destroy();
-    res.redirect('/');
-});
+// --- EMAIL QUEUE ---
+// Emails are saved to email_queue and sent in the background, so a mail server outage only delays them.
+// A failed send is retried with a growing delay; the queue is kept as the delivery log on /admin/emails.
+const MAX_EMAIL_ATTEMPTS = 5;
+const EMAIL_RETRY_MINUTES = 5; // doubled after each failed attempt
+const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'logged', 'failed'];
+let emailQueueTimer = null;
+let emailQueueRunning = false;
 
-// --- ADMIN ROUTES (CRUD - Create, Read, Update, Delete) ---
-// All admin routes require an authenticated user session
+// Helper function: Add an email to the queue
+// Pass the transaction as `conn` when the email depends on a change being saved - it only goes out if that commits
+// supplyListSessionId attaches that session's supply list (if it still has one when the email is sent)
+// calendarRegId attaches that registration's session days as a calendar file
+async function queueEmail(conn, { to, subject, text, html = null, templateKey = null, regId = null, supplyListSessionId = null, announcementId = null, calendarRegId = null }) {
+    if (!to) return null;
+    const [row] = await conn('email_queue').insert({
+        to_address: to,
+        subject: String(subject).slice(0, 200),
+        body_text: text,
+        body_html: html,
+        template_key: templateKey,
+        reg_id: regId,
+        supply_list_sessionid: supplyListSessionId,
+        announcementid: announcementId,
+        calendar_reg_id: calendarRegId
+    }).returning('emailid');
+    scheduleEmailQueueRun();
+    return row?.emailid || row;
+}
 
-// 1. READ (Admin Dashboard) - Display all registrations with search capability
-// Shows pending registrations separately for quick approval workflow
-// Supports multi-term search across multiple fields (name, email, session, dates, etc)
-app.get('/admin', async (req, res) => {
-    if (!req.session.user) return res.redirect('/login');
+// Helper function: Send Email
+// Queues a plain-text email to a parent or the admin without waiting on it
+function sendEmail(to, subject, text, regId = null) {
+    queueEmail(db, { to, subject, text, regId }).catch((err) => console.error("Failed to queue email:", err));
+}
 
-    const searchQuery = req.query.search || '';
+// Helper function: The template admins have saved for a key, or its default
+async function getEmailTemplate(conn, key) {
+    const saved = await conn('email_templates').where('template_key', key).first();
+    if (saved) return { subject: saved.subject, text: saved.body_text, html: saved.body_html, updated_by: saved.updated_by, updated_at: saved.updated_at };
+    return { ...DEFAULT_TEMPLATES[key] };
+}
+
+// Helper function: Queue a templated email, filling its placeholders from `values`
+async function sendTemplateEmail(conn, key, to, values, regId = null, supplyListSessionId = null, calendarRegId = null) {
+    const template = await getEmailTemplate(conn, key);
+    return queueEmail(conn, { to, ...renderTemplate(template, values), templateKey: key, regId, supplyListSessionId, calendarRegId });
+}
+
+// Helper function: Convert a 24-hour time to 12-hour format with AM/PM (e.g. 13:30 -> 1:30PM)
+function formatTime12(t) {
+    if (!t) return '';
+    let [hours, minutes] = String(t).split(':');
+    hours = parseInt(hours);
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    hours = hours % 12;
+    hours = hours ? hours : 12;
+    return `${hours}:${minutes}${ampm}`;
+}
+
+// Helper function: Placeholder values for one registration's templated emails
+// Returns null if the registration does not exist; `balance` is the amount still owed as a number
+async function registrationEmailValues(conn, regId) {
+    const reg = await conn('registrations')
+        .leftJoin('child_info', 'registrations.child_id', 'child_info.childid')
+        .leftJoin('parent_info', 'child_info.parentid', 'parent_info.parentid')
+        .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+        .leftJoin(paymentTotalsQuery(), 'registrations.id', 'pay.reg_id')
+        .leftJoin('session_supply_lists', 'registrations.Sessionid', 'session_supply_lists.sessionid')
+        .select(
+            'registrations.id',
+            'registrations.Sessionid',
+            'registrations.first_name',
+            'registrations.last_name',
+            'registrations.email',
+            'registrations.status',
+            'registrations.waitlist_position',
+            'registrations.amount_due',
+            'registrations.created_at',
+            'parent_info.parentfirstname',
+            'parent_info.parentlastname',
+            'Sessions.Sessionname',
+            'Sessions.startdate',
+            'Sessions.enddate',
+            'Sessions.starttime',
+            'Sessions.endtime',
+            'Sessions.price',
+            'Sessions.earlybird_price',
+            'Sessions.earlybird_deadline',
+            'pay.total_paid',
+            'session_supply_lists.filename as supply_list_filename'
+        )
+        .where('registrations.id', regId)
+        .first();
+    if (!reg) return null;
+
+    // Whole days from today until the session starts
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const daysUntil = reg.Sessionname ? Math.round((new Date(reg.startdate).setHours(0, 0, 0, 0) - today.getTime()) / (24 * 60 * 60 * 1000)) : '';
+
+    // Amount for the child's place (what it would be for a waitlisted child), and what is still owed
+    const amount = reg.amount_due !== null ? parseFloat(reg.amount_due) : (reg.Sessionname ? computeSessionPrice(reg, new Date(reg.created_at)).amount : 0);
+    const balance = Math.max(registrationAmountDue(reg) - parseFloat(reg.total_paid || 0), 0);
+
+    return {
+        email: reg.email,
+        balance,
+        supplyListSessionId: reg.supply_list_filename ? reg.Sessionid : null,
+        values: {
+            parent_first_name: reg.parentfirstname || '',
+            parent_last_name: reg.parentlastname || '',
+            child_first_name: reg.first_name,
+            child_last_name: reg.last_name,
+            session_name: reg.Sessionname || '',
+            session_dates: reg.Sessionname ? `${new Date(reg.startdate).toLocaleDateString()} - ${new Date(reg.enddate).toLocaleDateString()}` : '',
+            session_times: reg.Sessionname ? `${formatTime12(reg.starttime)} and ${formatTime12(reg.endtime)}` : '',
+            amount_due: `$${amount.toFixed(2)}`,
+            balance_due: `$${balance.toFixed(2)}`,
+            waitlist_position: reg.waitlist_position || '',
+            payment_deadline_days: PAYMENT_DEADLINE_DAYS,
+            days_until_camp: daysUntil
+        }
+    };
+}
+
+// Helper function: Queue a template to the parent of one registration
+// Approval and camp reminder emails carry the session's supply list when it has one,
+// and the approval email carries the child's session days as a calendar file
+// `extraValues` fills placeholders only that email knows, e.g. the attendance_date of an absence
+async function sendRegistrationEmail(conn, key, regId, extraValues = {}) {
+    const found = await registrationEmailValues(conn, regId);
+    if (!found) return null;
+    const attach = SUPPLY_LIST_TEMPLATES.includes(key) ? found.supplyListSessionId : null;
+    const values = { ...found.values, supply_list_note: attach ? 'The supply list for this session is attached.' : '', ...extraValues };
+    return sendTemplateEmail(conn, key, found.email, values, regId, attach, CALENDAR_TEMPLATES.includes(key) ? regId : null);
+}
+
+// Helper function: Run the queue in a moment (emails queued together go out in one run,
+// and an email queued inside a transaction is sent once it has committed)
+function scheduleEmailQueueRun() {
+    if (emailQueueTimer) return;
+    emailQueueTimer = setTimeout(() => {
+        emailQueueTimer = null;
+        processEmailQueue().catch((err) => console.error("Email queue error:", err));
+    }, 2000);
+}
+
+// Send the queued emails that are due
+// Each is claimed first (queued -> sending) so two app instances never send the same email
+async function processEmailQueue() {
+    if (!dbConnected || emailQueueRunning) return 0;
+    emailQueueRunning = true;
+    let processed = 0;
 
     try {
-        // Build query with joins to get all related data (parent, child, address, session info)
-        let query = db('registrations')
-            .leftJoin('child_info', 'registrations.child_id', 'child_info.childid')
-            .leftJoin('street', 'registrations.street_id', 'street.addressid')
-            .leftJoin('class_info', 'registrations.class_id', 'class_info.classid')
-            .leftJoin('parent_info', 'child_info.parentid', 'parent_info.parentid')
-            .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
-            .select(
-                'registrations.id as reg_id',
-                'registrations.first_name',
-                'registrations.last_name',
-                'registrations.email',
-                'registrations.phone',
-                'registrations.birthdate',
-                'registrations.created_at',
-                'registrations.notes', 
-                'registrations.status', 
-                'child_info.childage',
-                'street.streetaddress',
-                'street.city',
-                'street.state',
-                'street.zipcode',
-                'parent_info.parentfirstname',
-                'parent_info.parentlastname',
-                'parent_info.waiver',
-                'class_info.classinformation as special_requests',
-                'Sessions.Sessionname',
-                'Sessions.startdate as session_start',
-                'Sessions.enddate as session_end',
-                'Sessions.starttime as session_stime',
-                'Sessions.endtime as session_etime',
-                'Sessions.season'
-            );
-        
-        // Apply search filter if search query provided
-        if (searchQuery) {
-            // Split search by comma or space for flexible multi-term searches
-            // Example: "John Summer" or "Smith, 2025" both work
-            const terms = searchQuery.split(/[\s,]+/).map(t => t.trim()).filter(t => t.length > 0);
-
-            if (terms.length > 0) {
-                // Search across all relevant fields with case-insensitive matching
-                query.where(builder => {
-                    terms.forEach(term => {
-                        const pattern = `%${term}%`;
-                        builder.orWhere(subBuilder => {
-                            subBuilder.where('registrations.first_name', 'ilike', pattern)
-                                .orWhere('registrations.last_name', 'ilike', pattern)
-                                .orWhere('parent_info.parentfirstname', 'ilike', pattern)
-                                .orWhere('parent_info.parentlastname', 'ilike', pattern)
-                                .orWhere('registrations.email', 'ilike', pattern)
-                                .orWhere('registrations.phone', 'ilike', pattern)
-                                .orWhere('street.streetaddress', 'ilike', pattern)
-                                .orWhere('street.city', 'ilike', pattern)
-                                .orWhere('Sessions.Sessionname', 'ilike', pattern)
-                                .orWhere('Sessions.season', 'ilike', pattern)
-                                .orWhere('registrations.notes', 'ilike', pattern)
-                                .orWhereRaw("TO_CHAR(registrations.birthdate, 'YYYY-MM-DD') ILIKE ?", [pattern])
-                                .orWhereRaw("TO_CHAR(registrations.created_at, 'YYYY-MM-DD') ILIKE ?", [pattern])
-                                .orWhereRaw("TO_CHAR(\"Sessions\".startdate, 'YYYY-MM-DD') ILIKE ?", [pattern])
-                                .orWhereRaw("TO_CHAR(\"Sessions\".enddate, 'YYYY-MM-DD') ILIKE ?", [pattern]);
-                        });
-                    });
+        // An email left 'sending' (the app stopped mid-send) goes back into the queue
+        await db('email_queue')
+            .where('status', 'sending')
+            .where('next_attempt_at', '<', new Date(Date.now() - 10 * 60 * 1000))
+            .update({ status: 'queued' });
+
+        const due = await db('email_queue')
+            .where('status', 'queued')
+            .where('next_attempt_at', '<=', new Date())
+            .orderBy('emailid', 'asc')
+            .limit(50);
+
+        for (const email of due) {
+            const claimed = await db('email_queue').where({ emailid: email.emailid, status: 'queued' }).update({ status: 'sending', next_attempt_at: new Date() });
+            if (!claimed) continue;
+
+            const attempts = email.attempts + 1;
+            try {
+                const attachments = [];
+                if (email.supply_list_sessionid) {
+                    const list = await db('session_supply_lists').where('sessionid', email.supply_list_sessionid).first();
+                    if (list) attachments.push({ filename: list.filename, content: Buffer.from(list.data, 'base64'), contentType: list.content_type });
+                }
+                if (email.calendar_reg_id) {
+                    const calendar = await registrationCalendar(email.calendar_reg_id);
+                    if (calendar) attachments.push({ filename: 'camp-schedule.ics', content: calendar, contentType: 'text/calendar; charset=utf-8; method=PUBLISH' });
+                }
+                const delivered = await deliverEmail({ to: email.to_address, subject: email.subject, text: email.body_text, html: email.body_html, attachments });
+                await db('email_queue').where('emailid', email.emailid).update({ status: delivered ? 'sent' : 'logged', attempts, sent_at: new Date(), last_error: null });
+            } catch (err) {
+                const outOfAttempts = attempts >= MAX_EMAIL_ATTEMPTS;
+                const retryAt = new Date(Date.now() + EMAIL_RETRY_MINUTES * Math.pow(2, attempts - 1) * 60 * 1000);
+                await db('email_queue').where('emailid', email.emailid).update({
+                    status: outOfAttempts ? 'failed' : 'queued',
+                    attempts,
+                    last_error: String(err.message || err).slice(0, 1000),
+                    next_attempt_at: outOfAttempts ? null : retryAt
                 });
+                console.error(`Email ${email.emailid} to ${email.to_address} failed (attempt ${attempts} of ${MAX_EMAIL_ATTEMPTS}):`, err.message);
             }
+            processed++;
         }
 
-        // Sort by creation date (newest first)
-        query.orderBy('registrations.created_at', 'desc');
-        const registrations = await query;
+        // More were waiting than one run takes
+        if (due.length === 50) scheduleEmailQueueRun();
+    } finally {
+        emailQueueRunning = false;
+    }
+    return processed;
+}
 
-        // Separate pending registrations (awaiting approval) from processed ones
+// --- SETTINGS HELPERS ---
+// Helper function: Read settings by key, using the given defaults for any never saved
+async function getSettings(defaults) {
+    const rows = await db('settings').whereIn('setting_key', Object.keys(defaults));
+    const settings = { ...defaults };
+    rows.forEach(r => { settings[r.setting_key] = r.value; });
+    return settings;
+}
+
+// Helper function: Save settings by key
+async function saveSettings(conn, values, username) {
+    for (const [key, value] of Object.entries(values)) {
+        await conn('settings')
+            .insert({ setting_key: key, value: String(value), updated_by: username, updated_at: new Date() })
+            .onConflict('setting_key')
+            .merge();
+    }
+}
+
+// --- SCHEDULED REMINDERS ---
+// Payment reminders go to pending registrations with nothing paid, a set number of days after the
+// payment clock started. Camp reminders go to approved and pending registrations a set number of
+// days before the session starts. Each registration gets each kind once (tracked in reminders_sent).
+const REMINDER_DEFAULTS = { reminders_enabled: 'true', payment_reminder_days: '3', camp_reminder_days: '7' };
+const REMINDER_TEMPLATES = { payment: 'payment_reminder', camp: 'camp_reminder' };
+const REMINDER_PREVIEW_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function: The reminder settings as numbers and a flag
+async function getReminderSettings() {
+    const saved = await getSettings(REMINDER_DEFAULTS);
+    return {
+        enabled: saved.reminders_enabled === 'true',
+        paymentDays: parseInt(saved.payment_reminder_days),
+        campDays: parseInt(saved.camp_reminder_days)
+    };
+}
+
+// Helper function: Reminders not yet sent that are due on or before `until`, soonest first
+// Each has its type, when it is due (sendOn) and the registration it is for
+async function findReminders(settings, until) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const notSent = (type) => db('reminders_sent').select(db.raw(1)).whereRaw('reminders_sent.reg_id = registrations.id').where('reminder_type', type);
+    const columns = ['registrations.id', 'registrations.first_name', 'registrations.last_name', 'registrations.email', 'registrations.status', 'Sessions.Sessionname', 'Sessions.startdate', 'Sessions.enddate'];
+
+    const unpaid = await db('registrations')
+        .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+        .select(...columns, 'registrations.pending_since', 'registrations.created_at')
+        .where('registrations.status', 'pending')
+        .whereNull('registrations.deleted_at')
+        .whereNotExists(db('payments').select(db.raw(1)).whereRaw('payments.reg_id = registrations.id'))
+        .whereNotExists(notSent('payment'));
+
+    const upcoming = await db('registrations')
+        .join('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+        .select(...columns)
+        .whereIn('registrations.status', ['approved', 'pending'])
+        .whereNull('registrations.deleted_at')
+        .whereNull('Sessions.deleted_at')
+        .where('Sessions.startdate', '>=', today)
+        .whereNotExists(notSent('camp'));
+
+    const reminders = [
+        ...unpaid.map(reg => ({ type: 'payment', reg, sendOn: new Date(new Date(reg.pending_since || reg.created_at).getTime() + settings.paymentDays * DAY_MS) })),
+        ...upcoming.map(reg => {
+            const sendOn = new Date(reg.startdate);
+            sendOn.setHours(0, 0, 0, 0);
+            sendOn.setDate(sendOn.getDate() - settings.campDays);
+            return { type: 'camp', reg, sendOn };
+        })
+    ];
+    return reminders.filter(r => r.sendOn <= until).sort((a, b) => a.sendOn - b.sendOn);
+}
+
+// Helper function: Queue every reminder that is due now; returns how many were queued
+async function runScheduledReminders() {
+    const settings = await getReminderSettings();
+    const due = await findReminders(settings, new Date());
+    let queued = 0;
+
+    for (const reminder of due) {
+        await db.transaction(async (trx) => {
+            // Claim the reminder first so two app instances never send it twice
+            const claimed = await trx('reminders_sent')
+                .insert({ reg_id: reminder.reg.id, reminder_type: reminder.type })
+                .onConflict(['reg_id', 'reminder_type'])
+                .ignore()
+                .returning('reg_id');
+            if (claimed.length === 0) return;
+
+            const emailId = await sendRegistrationEmail(trx, REMINDER_TEMPLATES[reminder.type], reminder.reg.id);
+            await trx('reminders_sent').where({ reg_id: reminder.reg.id, reminder_type: reminder.type }).update({ emailid: emailId });
+            queued++;
+        });
+    }
+    return queued;
+}
+
+// --- SESSION CAPACITY & WAITLIST HELPERS ---
+// Registrations in these statuses do not hold a seat in a session
+// ('cancelled' is used when the session itself is deleted)
+const NON_SEAT_STATUSES = ['rejected', 'waitlisted', 'released', 'cancelled'];
+const ENROLLED_COUNT_SQL = `COUNT(CASE WHEN registrations.status NOT IN (${NON_SEAT_STATUSES.map(st => `'${st}'`).join(', ')}) THEN 1 END) as enrolled_count`;
+
+// Helper function: Fetch all sessions with their current enrollment count (sessions in the trash are left out)
+function getSessionsWithCounts() {
+    return db('Sessions')
+        .leftJoin('registrations', function () {
+            this.on('Sessions.Sessionid', '=', 'registrations.Sessionid').andOnNull('registrations.deleted_at');
+        })
+        .select('Sessions.*', db.raw(ENROLLED_COUNT_SQL))
+        .whereNull('Sessions.deleted_at')
+        .groupBy('Sessions.Sessionid')
+        .orderBy('startdate', 'asc');
+}
+
+// Helper function: Count the registrations holding a seat in a session
+async function countEnrolled(trx, sessionId) {
+    const row = await trx('registrations')
+        .where('Sessionid', sessionId)
+        .whereNull('deleted_at')
+        .whereNotIn('status', NON_SEAT_STATUSES)
+        .count('id as count')
+        .first();
+    return parseInt(row.count) || 0;
+}
+
+// Helper function: Check whether a session has no seats left
+// Sessions without a seat limit are never full
+function isSessionFull(session, enrolled) {
+    return session.numseats !== null && session.numseats !== undefined && enrolled >= session.numseats;
+}
+
+// Helper function: Format a session as "Name (start - end)" for emails
+function formatSessionStr(session) {
+    return `${session.Sessionname} (${new Date(session.startdate).toLocaleDateString()} - ${new Date(session.enddate).toLocaleDateString()})`;
+}
+
+// Helper function: Renumber a session's waitlist so positions run 1, 2, 3...
+async function renumberWaitlist(trx, sessionId) {
+    const waiting = await trx('registrations')
+        .where({ Sessionid: sessionId, status: 'waitlisted' })
+        .whereNull('deleted_at')
+        .orderBy('waitlist_position', 'asc')
+        .orderBy('created_at', 'asc')
+        .select('id');
+    for (let i = 0; i < waiting.length; i++) {
+        await trx('registrations').where('id', waiting[i].id).update({ waitlist_position: i + 1 });
+    }
+}
+
+// Helper function: Claim a seat in a session, or a place on its waitlist when it is full
+// Locks the session row so two parents cannot take the last seat at the same time
+async function reserveSeat(trx, sessionId) {
+    if (!sessionId) return { session: null, status: 'pending', waitlistPosition: null };
+
+    const session = await trx('Sessions').where('Sessionid', sessionId).forUpdate().first();
+    if (!session || !isSessionFull(session, await countEnrolled(trx, sessionId))) {
+        return { session: session || null, status: 'pending', waitlistPosition: null };
+    }
+
+    const last = await trx('registrations')
+        .where({ Sessionid: sessionId, status: 'waitlisted' })
+        .whereNull('deleted_at')
+        .max('waitlist_position as pos')
+        .first();
+    return { session, status: 'waitlisted', waitlistPosition: (parseInt(last.pos) || 0) + 1 };
+}
+
+// Helper function: Move waitlisted children into open seats
+// Promoted registrations become 'pending' (awaiting payment/approval) and the parent is emailed
+// `req` is the admin request that freed the seat, for the audit log (null from background jobs)
+async function promoteFromWaitlist(trx, sessionId, req = null) {
+    if (!sessionId) return [];
+
+    // Lock the session row so concurrent registrations cannot take the same seat
+    const session = await trx('Sessions').where('Sessionid', sessionId).forUpdate().first();
+    if (!session) return [];
+
+    const promoted = [];
+    let enrolled = await countEnrolled(trx, sessionId);
+    while (!isSessionFull(session, enrolled)) {
+        const next = await trx('registrations')
+            .leftJoin('child_info', 'registrations.child_id', 'child_info.childid')
+            .leftJoin('parent_info', 'child_info.parentid', 'parent_info.parentid')
+            .select('registrations.id', 'registrations.first_name', 'registrations.last_name', 'registrations.email', 'parent_info.parentfirstname', 'parent_info.parentlastname')
+            .where({ 'registrations.Sessionid': sessionId, 'registrations.status': 'waitlisted' })
+            .whereNull('registrations.deleted_at')
+            .orderBy('registrations.waitlist_position', 'asc')
+            .orderBy('registrations.created_at', 'asc')
+            .first();
+        if (!next) break;
+
+        await trx('registrations').where('id', next.id).update({ status: 'pending', waitlist_position: null, pending_since: new Date() });
+        await recordAudit(trx, req, { action: 'registration.promote', entityType: 'registration', entityId: next.id, regId: next.id, sessionId, before: { status: 'waitlisted' }, after: { status: 'pending' } });
+        promoted.push(next);
+        enrolled++;
+
+        // Email to Parent - a seat opened up for their child
+        // (queued in this transaction, so it is only sent if the promotion is saved)
+        const msg = `Hello ${next.parentfirstname || ''} ${next.parentlastname || ''}, good news! A spot has opened up for ${next.first_name} ${next.last_name} in ${formatSessionStr(session)}. Your registration has moved off the waitlist and is now pending. Please send payment within one week to reserve the spot.`;
+        await queueEmail(trx, { to: next.email, subject: "A Spot Opened Up - Sewing Camp", text: msg, regId: next.id });
+    }
+
+    if (promoted.length > 0) await renumberWaitlist(trx, sessionId);
+    return promoted;
+}
+
+// --- PRICING HELPERS ---
+// Full week camp price, used for sessions without a price of their own
+const DEFAULT_SESSION_PRICE = 125;
+// Dollars taken off for each additional child a parent registers in the same season
+const SIBLING_DISCOUNT = parseFloat(process.env.SIBLING_DISCOUNT || 10);
+
+// Helper function: Session price on a given date, using the early-bird price up to and including its deadline
+function computeSessionPrice(session, registeredAt = new Date()) {
+    const base = session.price !== null && session.price !== undefined ? parseFloat(session.price) : DEFAULT_SESSION_PRICE;
+    if (session.earlybird_price !== null && session.earlybird_price !== undefined && session.earlybird_deadline) {
+        const deadline = new Date(session.earlybird_deadline);
+        deadline.setHours(23, 59, 59, 999);
+        if (registeredAt <= deadline) return { amount: parseFloat(session.earlybird_price), earlyBird: true };
+    }
+    return { amount: base, earlyBird: false };
+}
+
+// Helper function: Amount due for a new registration
+// Applies the early-bird price, then the sibling discount if this parent already has
+// another child holding a seat (or registered in the same submission) this season
+async function computeAmountDue(trx, session, email, childFirstName, extraSiblings = 0) {
+    const { amount, earlyBird } = computeSessionPrice(session);
+    const notes = [];
+    if (earlyBird) notes.push('early-bird price');
+
+    let hasSibling = extraSiblings > 0;
+    if (!hasSibling && email) {
+        const sibling = await trx('registrations')
+            .join('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+            .whereRaw('LOWER(registrations.email) = LOWER(?)', [email])
+            .whereRaw('LOWER(registrations.first_name) <> LOWER(?)', [childFirstName || ''])
+            .where('Sessions.season', session.season || 'Summer')
+            .whereNull('registrations.deleted_at')
+            .whereNotIn('registrations.status', NON_SEAT_STATUSES)
+            .first('registrations.id');
+        hasSibling = !!sibling;
+    }
+
+    let total = amount;
+    if (hasSibling && SIBLING_DISCOUNT > 0) {
+        total = Math.max(total - SIBLING_DISCOUNT, 0);
+        notes.push(`sibling discount -$${SIBLING_DISCOUNT.toFixed(2)}`);
+    }
+    return { amount: total, note: notes.join(', ') };
+}
+
+// Helper function: Format an amount due as "$115.00 (early-bird price)" for emails and messages
+function formatAmountDue(pricing) {
+    return `$${pricing.amount.toFixed(2)}${pricing.note ? ` (${pricing.note})` : ''}`;
+}
+
+// --- PAYMENT HELPERS ---
+// Parents must pay within one week of registering or the spot is released
+const PAYMENT_DEADLINE_DAYS = 7;
+const PAYMENT_METHODS = ['Venmo', 'Cash', 'Check'];
+
+// Helper function: Amount owed for a registration
+// Seatless registrations (rejected, waitlisted, released) owe nothing
+function registrationAmountDue(reg) {
+    if (NON_SEAT_STATUSES.includes(reg.status)) return 0;
+    if (reg.amount_due !== null && reg.amount_due !== undefined) return parseFloat(reg.amount_due);
+    return computeSessionPrice(reg, new Date(reg.created_at)).amount;
+}
+
+// Helper function: Subquery of total paid per registration, for joining onto registration queries
+function paymentTotalsQuery() {
+    return db('payments').select('reg_id').sum('amount as total_paid').groupBy('reg_id').as('pay');
+}
+
+// Helper function: Check whether a pending registration has passed its payment deadline with nothing paid
+function isPaymentOverdue(reg) {
+    if (reg.status !== 'pending' || parseFloat(reg.total_paid || 0) > 0) return false;
+    const started = new Date(reg.pending_since || reg.created_at);
+    return Date.now() - started.getTime() > PAYMENT_DEADLINE_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// Helper function: Release pending registrations with no payment after the deadline
+// Frees each seat for the waitlist and lets the parent know
+async function releaseOverdueRegistrations(req = null) {
+    const cutoff = new Date(Date.now() - PAYMENT_DEADLINE_DAYS * 24 * 60 * 60 * 1000);
+    const overdue = await db('registrations')
+        .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+        .select('registrations.id', 'registrations.Sessionid', 'registrations.first_name', 'registrations.last_name', 'registrations.email', 'Sessions.Sessionname', 'Sessions.startdate', 'Sessions.enddate')
+        .where('registrations.status', 'pending')
+        .whereNull('registrations.deleted_at')
+        .whereRaw('COALESCE(registrations.pending_since, registrations.created_at) < ?', [cutoff])
+        .whereNotExists(db('payments').select(db.raw(1)).whereRaw('payments.reg_id = registrations.id'));
+
+    for (const reg of overdue) {
+        await db.transaction(async (trx) => {
+            await trx('registrations').where('id', reg.id).update({ status: 'released' });
+            await recordAudit(trx, req, { action: 'registration.release', entityType: 'registration', entityId: reg.id, regId: reg.id, sessionId: reg.Sessionid, before: { status: 'pending' }, after: { status: 'released' } });
+            await promoteFromWaitlist(trx, reg.Sessionid, req);
+        });
+
+        // Email to Parent - spot released for non-payment
+        const sessionStr = reg.Sessionname ? ` for ${formatSessionStr(reg)}` : '';
+        const msg = `Hello, we did not receive payment for ${reg.first_name} ${reg.last_name}'s registration${sessionStr} within ${PAYMENT_DEADLINE_DAYS} days, so the spot has been released. Please contact us or register again if you would still like to attend.`;
+        sendEmail(reg.email, "Registration Released - Sewing Camp", msg, reg.id);
+    }
+    return overdue.length;
+}
+
+// --- MEDICAL & EMERGENCY CONTACT HELPERS ---
+
+// Helper function: Pick a child's medical details and emergency contact from a form, ready for child_info
+function childMedicalInfo(source) {
+    const text = (value) => (value && String(value).trim()) || null;
+    return {
+        allergies: text(source.allergies),
+        medications: text(source.medications),
+        medical_conditions: text(source.medical_conditions),
+        emergency_name: text(source.emergency_name),
+        emergency_relation: text(source.emergency_relation),
+        emergency_phone: normalizePhone(source.emergency_phone)
+    };
+}
+
+// --- WAIVER HELPERS ---
+// Parents sign the newest published waiver version; each registration keeps a signature record
+// pointing at that exact version so the signed text can always be reproduced.
+const DEFAULT_WAIVER_FILE = path.join(__dirname, 'views', 'waiver_default.html');
+
+// Helper function: Get the waiver version currently shown to parents (the newest published)
+function getCurrentWaiver(conn = db) {
+    return conn('waiver_versions').orderBy('version_number', 'desc').first();
+}
+
+// Helper function: Build the signature record for a registration from the submitted form
+function buildWaiverSignature(req, regId, waiver) {
+    const { signer_name, signature_type, signature_typed, signature_drawn } = req.body;
+    return {
+        reg_id: regId,
+        versionid: waiver.versionid,
+        signer_name: signer_name.trim(),
+        signature_type: signature_type,
+        signature_data: signature_type === 'drawn' ? signature_drawn : signature_typed.trim(),
+        // req.ip follows the TRUST_PROXY setting, so a client cannot forge it with its own X-Forwarded-For header
+        ip_address: req.ip,
+        user_agent: (req.headers['user-agent'] || '').slice(0, 300),
+        signed_at: new Date()
+    };
+}
+
+// --- ATTENDANCE HELPERS ---
+// Sessions meet every weekday (Monday-Friday) from startdate to enddate. Children with an approved
+// registration are on the daily sheet; days are passed around as YYYY-MM-DD strings.
+const ATTENDANCE_STATUSES = ['present', 'late', 'absent'];
+
+// Helper function: Format a date as YYYY-MM-DD in local time
+function formatDateKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Helper function: Every weekday a session meets, as YYYY-MM-DD strings
+function sessionDays(session) {
+    const days = [];
+    const day = new Date(session.startdate);
+    day.setHours(0, 0, 0, 0);
+    const end = new Date(session.enddate);
+    end.setHours(0, 0, 0, 0);
+    while (day <= end) {
+        if (day.getDay() !== 0 && day.getDay() !== 6) days.push(formatDateKey(day));
+        day.setDate(day.getDate() + 1);
+    }
+    return days;
+}
+
+// Helper function: Today's attendance counts for each session meeting today (limited to `sessionIds` when given)
+async function getTodaysAttendance(sessionIds = null) {
+    const today = formatDateKey(new Date());
+    const query = db('Sessions')
+        .select('Sessionid', 'Sessionname', 'startdate', 'enddate', 'starttime')
+        .whereNull('deleted_at')
+        .where('startdate', '<=', today)
+        .where('enddate', '>=', today)
+        .orderBy('starttime', 'asc');
+    if (sessionIds) query.whereIn('Sessionid', sessionIds);
+    const sessions = (await query).filter(s => sessionDays(s).includes(today));
+    if (sessions.length === 0) return [];
+
+    // Children with no attendance row yet come back with a null status (not marked)
+    const counts = await db('registrations')
+        .leftJoin('attendance', function () {
+            this.on('attendance.reg_id', '=', 'registrations.id').andOn('attendance.attendance_date', '=', db.raw('?', [today]));
+        })
+        .select('registrations.Sessionid', 'attendance.status')
+        .count('registrations.id as count')
+        .whereIn('registrations.Sessionid', sessions.map(s => s.Sessionid))
+        .where('registrations.status', 'approved')
+        .whereNull('registrations.deleted_at')
+        .groupBy('registrations.Sessionid', 'attendance.status');
+
+    return sessions.map(s => {
+        const summary = { ...s, present: 0, late: 0, absent: 0, unmarked: 0 };
+        counts.filter(c => c.Sessionid === s.Sessionid).forEach(c => {
+            summary[c.status || 'unmarked'] = parseInt(c.count);
+        });
+        return summary;
+    });
+}
+
+// --- CALENDAR FEED HELPERS ---
+// Sessions as iCalendar files: the public feed of every session, each account's private feed,
+// and the file attached to a child's approval email. Events follow sessionDays() above.
+
+// Helper function: A calendar with every day of each given session
+// `describe(session)` gives each session's event description
+function sessionsCalendar(name, sessions, describe = (s) => s.Sessiondesc || '') {
+    return buildCalendar(name, sessions.flatMap(s => sessionEvents(s, sessionDays(s), {
+        uid: `session-${s.Sessionid}`,
+        summary: `${s.Sessionname} - Sewing Camp`,
+        description: describe(s)
+    })));
+}
+
+// Helper function: One child's session days as a calendar, or null if they have no session
+async function registrationCalendar(regId) {
+    const reg = await db('registrations')
+        .join('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+        .select('registrations.id', 'registrations.first_name', 'registrations.last_name', 'Sessions.*')
+        .where('registrations.id', regId)
+        .whereNull('registrations.deleted_at')
+        .whereNull('Sessions.deleted_at')
+        .first();
+    if (!reg) return null;
+
+    return buildCalendar(`${reg.first_name}'s Sewing Camp`, sessionEvents(reg, sessionDays(reg), {
+        uid: `registration-${reg.id}`,
+        summary: `Sewing Camp: ${reg.first_name} ${reg.last_name} - ${reg.Sessionname}`,
+        description: reg.Sessiondesc || ''
+    }));
+}
+
+// Helper function: An account's private feed token, made the first time it is needed
+async function getCalendarToken(userId) {
+    const account = await db('authentication').select('calendar_token').where('id', userId).first();
+    if (account && account.calendar_token) return account.calendar_token;
+    const token = crypto.randomBytes(24).toString('hex');
+    await db('authentication').where('id', userId).update({ calendar_token: token });
+    return token;
+}
+
+// --- PROJECT CATALOG HELPERS ---
+// Admins keep a catalog of projects (with a photo from /images), choose which ones each session offers,
+// and parents pick up to MAX_PROJECTS_PER_CHILD of those for each child when registering.
+const PROJECT_DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+const PROJECT_STATUSES = ['chosen', 'in_progress', 'completed'];
+const PROJECT_STATUS_LABELS = { chosen: 'Not started', in_progress: 'In progress', completed: 'Completed' };
+const PROJECT_IMAGE_RE = /\.(jpe?g|png|gif)$/i;
+
+// Catalog the camp starts with (the projects on the home page)
+const DEFAULT_PROJECTS = [
+    { name: 'Pillowcase', image: 'Pillowcase.gif', difficulty: 'beginner', supply_list: '1 yard main fabric, 1/4 yard cuff fabric, matching thread' },
+    { name: 'Patchwork Pillow', image: 'Patchwork Pillow.jpg', difficulty: 'beginner', supply_list: 'Four 1/4 yard coordinating fabrics, 14 inch pillow form, thread' },
+    { name: 'Simple Purse', image: 'Simple Purse.gif', difficulty: 'beginner', supply_list: '1/2 yard outer fabric, 1/2 yard lining, 1 magnetic snap, thread' },
+    { name: 'Cinch Backpack', image: 'Cinch Backpack.jpg', difficulty: 'beginner', supply_list: '3/4 yard fabric, 4 yards cord, thread' },
+    { name: 'PJ Shorts', image: 'PJ Shorts.png', difficulty: 'beginner', supply_list: '1 yard flannel or cotton, 1 yard 1 inch elastic, thread' },
+    { name: 'PJ Pants', image: 'PJ Pants.gif', difficulty: 'intermediate', supply_list: '2 to 2 1/2 yards flannel, 1 yard 1 inch elastic, thread' },
+    { name: 'Capris', image: 'Capris.gif', difficulty: 'intermediate', supply_list: '1 1/2 yards cotton, 1 yard 1 inch elastic, thread' },
+    { name: 'Zipper Pouch', image: 'Zipper Pouch.jpg', difficulty: 'intermediate', supply_list: '1/4 yard outer fabric, 1/4 yard lining, 9 inch zipper, thread' },
+    { name: 'Beginner Quilt', image: 'Beginner Quilt.jpg', difficulty: 'intermediate', supply_list: 'Charm pack or 1 1/2 yards assorted cotton, 1 1/2 yards backing, batting, thread' },
+    { name: 'Duffle Bag', image: 'Duffle Bag.jpg', difficulty: 'advanced', supply_list: '1 yard canvas, 1 yard lining, 22 inch zipper, 2 yards strapping, thread' }
+];
+
+// Helper function: Photos in /images that a project can use
+function listProjectImages() {
+    try {
+        return fs.readdirSync(path.join(__dirname, 'images')).filter(f => PROJECT_IMAGE_RE.test(f)).sort();
+    } catch (err) {
+        console.error("Project images error:", err);
+        return [];
+    }
+}
+
+// Helper function: Add the active projects each session offers to a list of sessions (as `projects`)
+async function attachSessionProjects(sessions, conn = db) {
+    if (sessions.length === 0) return sessions;
+    const offered = await conn('session_projects')
+        .join('projects', 'session_projects.projectid', 'projects.projectid')
+        .select('session_projects.sessionid', 'projects.projectid', 'projects.name', 'projects.image', 'projects.difficulty')
+        .whereIn('session_projects.sessionid', sessions.map(s => s.Sessionid))
+        .where('projects.active', true)
+        .orderBy('projects.name', 'asc');
+    sessions.forEach(s => {
+        s.projects = offered.filter(p => p.sessionid === s.Sessionid).map(({ sessionid, ...p }) => p);
+    });
+    return sessions;
+}
+
+// Helper function: The chosen project ids a session actually offers (duplicates and others dropped)
+function offeredProjectIds(session, chosen) {
+    const offered = (session && session.projects) || [];
+    return [...new Set([].concat(chosen || []).map(id => parseInt(id)))]
+        .filter(id => offered.some(p => p.projectid === id))
+        .slice(0, MAX_PROJECTS_PER_CHILD);
+}
+
+// --- MIDDLEWARE CONFIGURATION ---
+// Serve static images from the /images folder
+app.use('/images', express.static(path.join(__dirname, 'images')));
+
+// Set EJS as the view engine for rendering HTML templates
+app.set("view engine", "ejs");
+
+// Behind a load balancer or reverse proxy, req.ip is the proxy's address unless Express is told to trust it.
+// TRUST_PROXY takes the number of proxy hops (e.g. 1) or "true"; unset, the connecting address is used.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY === 'true' ? true : TRUST_PROXY);
+}
+
+// Middleware to parse form data (URL-encoded and JSON)
+// Raised limit so drawn waiver signatures (PNG data URLs) fit in the registration form
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+app.use(express.json());
+
+// Configure session management to track logged-in users
+// The fallback secret is only for local development; production must set SESSION_SECRET
+const DEFAULT_SESSION_SECRET = 'fallback-secret-key';
+const SESSION_SECRET = process.env.SESSION_SECRET || DEFAULT_SESSION_SECRET;
+if (process.env.NODE_ENV === 'production' && SESSION_SECRET === DEFAULT_SESSION_SECRET) {
+    console.error("SESSION_SECRET is not set. Refusing to start in production with the default session secret.");
+    process.exit(1);
+}
+
+app.use(session({
+    secret: SESSION_SECRET,
+    resave: false,
+    saveUninitialized: false,
+    cookie: { httpOnly: true, sameSite: 'lax' }
+}));
+
+// Helper function: The CSRF token for this browser session, created the first time a form needs it
+function getCsrfToken(req) {
+    if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    return req.session.csrfToken;
+}
+
+// Middleware: Refuse a POST that does not carry this session's CSRF token
+// Forms send it as the hidden `_csrf` field; the AJAX note save sends it in the X-CSRF-Token header
+function verifyCsrf(req, res, next) {
+    const sent = String((req.body && req.body._csrf) || req.get('X-CSRF-Token') || '');
+    const expected = req.session.csrfToken || '';
+    if (expected && sent.length === expected.length && crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected))) {
+        return next();
+    }
+    if (req.is('application/json')) return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+    res.status(403).send("This form has expired. Please go back, reload the page and try again.");
+}
+
+// Make user data available to all views (for navigation/auth checks)
+// Signed-in staff also get the CSRF token for their forms (public visitors do not need a session)
+app.use((req, res, next) => {
+    res.locals.user = req.session.user || null;
+    res.locals.csrfToken = req.session.user ? getCsrfToken(req) : '';
+    next();
+});
+
+// --- PUBLIC ROUTES (NO LOGIN REQUIRED) ---
+// Home page - displays sewing camp information
+app.get("/", (req, res) => res.render("index"));
+
+// Camp information page
+app.get("/campinfo", (req, res) => res.render("campinfo"));
+
+// Schedule/Sessions page - displays all available sewing camp sessions
+// Fetches sessions from database and calculates enrollment count
+app.get("/campschedule", async (req, res) => {
+    if (!dbConnected) {
+        return res.render("campschedule", { 
+            sessions: [], 
+            user: req.session.user || null 
+        });
+    }
+    try {
+        // Query sessions with enrollment counts (excluding rejected and waitlisted registrations)
+        const sessions = await getSessionsWithCounts();
+        
+        res.render("campschedule", { 
+            sessions: sessions, 
+            user: req.session.user || null,
+            // Errors from the admin session routes (only shown to staff)
+            error_message: req.session.user ? (req.query.error || '') : ''
+        });
+    } catch (err) {
+        console.error("Error fetching schedule:", err);
+        res.render("campschedule", { 
+            sessions: [], 
+            user: req.session.user || null 
+        });
+    }
+});
+
+// Helper function: Send an iCalendar file (calendar apps subscribe to these addresses)
+function sendCalendar(res, filename, calendar) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.send(calendar);
+}
+
+// Calendar feed of every session, or one season's (?season=Summer), for parents to subscribe to
+app.get("/calendar.ics", async (req, res) => {
+    if (!dbConnected) return res.status(503).send("Database unavailable.");
+    const season = SEASONS.includes(req.query.season) ? req.query.season : '';
+
+    try {
+        const sessions = (await db('Sessions').whereNull('deleted_at').orderBy('startdate', 'asc'))
+            .filter(s => !season || (s.season || 'Summer') === season);
+        sendCalendar(res, `sewing-camp${season ? '-' + season.toLowerCase() : ''}.ics`, sessionsCalendar(season ? `Sewing Camp - ${season}` : 'Sewing Camp Sessions', sessions));
+    } catch (err) {
+        console.error("Calendar Feed Error:", err);
+        res.status(500).send("Error building the calendar.");
+    }
+});
+
+// Private calendar feed for one staff account: instructors get the sessions they teach, owners every session
+// The address itself is the password, so it can be reset from /admin/calendar
+app.get("/calendar/staff/:token.ics", async (req, res) => {
+    if (!dbConnected) return res.status(503).send("Database unavailable.");
+
+    try {
+        const account = await db('authentication').where('calendar_token', String(req.params.token)).first();
+        if (!account || account.disabled || !ROLES.includes(account.role)) return res.status(404).send("Calendar not found.");
+
+        const user = await buildStaffUser(account);
+        const sessions = (await getSessionsWithCounts()).filter(s => canAccessSession(user, s.Sessionid));
+        const calendar = sessionsCalendar(`Sewing Camp - ${account.username}`, sessions, (s) => {
+            const enrolled = parseInt(s.enrolled_count || 0);
+            return `${enrolled} camper${enrolled === 1 ? '' : 's'} enrolled of ${s.numseats} seats.${s.Sessiondesc ? '\n' + s.Sessiondesc : ''}`;
+        });
+        sendCalendar(res, 'sewing-camp-teaching.ics', calendar);
+    } catch (err) {
+        console.error("Staff Calendar Feed Error:", err);
+        res.status(500).send("Error building the calendar.");
+    }
+});
+
+// Contact us page
+app.get("/contactus", (req, res) => res.render("contactus"));
+
+// Registration information page
+// The registration info page lists the current cancellation refund rules
+app.get("/registrations", async (req, res) => {
+    let rules = parseRefundRules(REFUND_DEFAULTS.refund_rules);
+    try {
+        if (dbConnected) rules = await getRefundRules();
+    } catch (err) {
+        console.error("Error fetching refund policy:", err);
+    }
+    res.render("registrations", { refundRules: rules.map(describeRefundRule) });
+});
+
+// Redirect old registration path to new one
+app.get("/registration", (req, res) => res.redirect("/register"));
+
+// --- REGISTRATION ROUTES (PUBLIC) ---
+
+// GET: Display registration form with available sessions
+// Returning families verified through the parent portal sign-in link get the form prefilled
+app.get("/register", async (req, res) => {
+    let sessions = [];
+    let family = null;
+    let waiver = null;
+    if (dbConnected) {
+        try {
+            sessions = await attachSessionProjects(await getSessionsWithCounts());
+            waiver = await getCurrentWaiver();
+            if (req.session.parentEmail) family = await getReturningFamily(db, req.session.parentEmail);
+        } catch (err) {
+            console.error("Error fetching sessions for register:", err);
+        }
+    }
+    res.render("register", { 
+        success_message: "", 
+        error_message: "", 
+        sessions: sessions,
+        family: family,
+        waiver: waiver
+    });
+});
+
+// Helper function: Look up a returning family's most recent parent, address and children by email
+// Older registrations each created their own parent_info row, so children are gathered across all of them
+async function getReturningFamily(conn, email) {
+    const parents = await conn('parent_info')
+        .whereRaw('LOWER(email) = LOWER(?)', [email])
+        .orderBy('parentid', 'desc');
+    if (parents.length === 0) return null;
+
+    const parent = parents[0];
+    const address = await conn('street').where('parentid', parent.parentid).orderBy('addressid', 'desc').first();
+
+    // One entry per child name, keeping the newest child_info row and most recent birthdate
+    const childRows = await conn('child_info')
+        .leftJoin('registrations', 'child_info.childid', 'registrations.child_id')
+        .whereIn('child_info.parentid', parents.map(p => p.parentid))
+        .select('child_info.childid', 'child_info.childfirstname', 'child_info.childlastname', 'child_info.childage', 'child_info.parentid', 'registrations.birthdate',
+            'child_info.allergies', 'child_info.medications', 'child_info.medical_conditions', 'child_info.emergency_name', 'child_info.emergency_relation', 'child_info.emergency_phone')
+        .orderBy('child_info.childid', 'desc');
+    const children = [];
+    childRows.forEach(c => {
+        const key = `${(c.childfirstname || '').toLowerCase()}|${(c.childlastname || '').toLowerCase()}`;
+        if (!children.some(k => k.key === key)) children.push({ ...c, key });
+    });
+
+    return { parent, address: address || null, children };
+}
+
+// Helper function: Normalize the children submitted on the registration form
+// Accepts the multi-child form (children[0][first_name], ...) or the older single-child fields
+const MAX_CHILDREN_PER_REGISTRATION = 6;
+function getSubmittedChildren(body) {
+    let children = body.children;
+    if (children && !Array.isArray(children)) children = Object.values(children);
+    if (!children) {
+        children = [{ first_name: body.first_name, last_name: body.last_name, birthdate: body.birthdate, age: body.age, special_requests: body.special_requests, season: body.season, selected_session: body.selected_session, child_id: body.child_id }];
+    }
+    // form_prefix is the child's field name prefix on the form, used to key validation errors
+    return children
+        .map((c, i) => (c ? { ...c, form_prefix: `children[${i}]` } : null))
+        .filter(c => c && Object.keys(c).some(k => k !== 'form_prefix' && k !== 'child_id' && c[k]))
+        .slice(0, MAX_CHILDREN_PER_REGISTRATION);
+}
+
+// POST: Handle new participant registration
+// One parent and address per submission, with a child info and registration record for each child
+// Verified returning families reuse their existing parent, address and child records
+// Sends one combined confirmation email to the parent and a notification to the admin
+app.post("/register", async (req, res) => {
+    const { parent_first_name, parent_last_name, email, street_address, city, state, zipcode } = req.body;
+    const phone = normalizePhone(req.body.phone);
+    const children = getSubmittedChildren(req.body);
+
+    if (!dbConnected) {
+        return res.render("register", { success_message: "", error_message: "Database unavailable.", sessions: [] });
+    }
+
+    try {
+        // Validate every field server-side (full sessions are allowed - those children are waitlisted)
+        // The waiver must be signed against the version currently published, and projects must be ones the session offers
+        const currentSessions = await attachSessionProjects(await getSessionsWithCounts());
+        const waiver = await getCurrentWaiver();
+        const errors = validateRegistration(req.body, children, currentSessions, { prefixFor: (i) => children[i].form_prefix, allowWaitlist: true });
+        validateSignature(req.body, waiver ? waiver.versionid : null, errors);
+        if (hasErrors(errors)) {
+            const family = req.session.parentEmail ? await getReturningFamily(db, req.session.parentEmail) : null;
+            return res.render("register", {
+                success_message: "",
+                error_message: errors.children || "Please correct the highlighted fields below.",
+                sessions: currentSessions,
+                family: family,
+                waiver: waiver,
+                errors: errors,
+                values: req.body,
+                formChildren: children
+            });
+        }
+
+        // Only reuse records when the parent has proven they own this email via the sign-in link
+        const isVerified = req.session.parentEmail && email && req.session.parentEmail.toLowerCase() === email.trim().toLowerCase();
+
+        const results = await db.transaction(async (trx) => {
+            const family = isVerified ? await getReturningFamily(trx, email) : null;
+            let parentId, streetId;
+
+            if (family) {
+                // Returning family - update the existing parent and address with anything that changed
+                parentId = family.parent.parentid;
+                await trx('parent_info').where('parentid', parentId).update({ parentfirstname: parent_first_name, parentlastname: parent_last_name, email: email, cellphone: phone, waiver: 'Y' });
+                if (family.address) {
+                    streetId = family.address.addressid;
+                    await trx('street').where('addressid', streetId).update({ streetaddress: street_address, city: city, state: state, zipcode: zipcode });
+                }
+            } else {
+                // Insert parent information (once for the whole family)
+                const [parentRes] = await trx('parent_info').insert({ parentfirstname: parent_first_name, parentlastname: parent_last_name, email: email, cellphone: phone, waiver: 'Y' }).returning('parentid');
+                parentId = parentRes?.parentid || parentRes;
+            }
+
+            if (!streetId) {
+                // Insert street address linked to parent
+                const [streetRes] = await trx('street').insert({ streetaddress: street_address, city: city, state: state, zipcode: zipcode, parentid: parentId }).returning('addressid');
+                streetId = streetRes?.addressid || streetRes;
+            }
+
+            const results = [];
+            for (let i = 0; i < children.length; i++) {
+                const child = children[i];
+                const selectedSession = child.selected_session ? parseInt(child.selected_session) : null;
+
+                // Check capacity - full sessions put the child on the waitlist
+                const { session: sessionDetails, status, waitlistPosition } = await reserveSeat(trx, selectedSession);
+
+                // Price is locked in now so the early-bird rate holds for waitlisted children too
+                // Every child after the first in this submission gets the sibling discount
+                const pricing = sessionDetails ? await computeAmountDue(trx, sessionDetails, email, child.first_name, i) : null;
+
+                // Insert class information (special requests)
+                const [classRes] = await trx('class_info').insert({ classinformation: child.special_requests, classdate: new Date() }).returning('classid');
+                const classId = classRes?.classid || classRes;
+
+                // Reuse a returning child's record (only one of this family's children), otherwise insert a new one
+                const knownChild = family && child.child_id ? family.children.find(c => String(c.childid) === String(child.child_id)) : null;
+                let childId;
+                if (knownChild) {
+                    childId = knownChild.childid;
+                    await trx('child_info').where('childid', childId).update({ childfirstname: child.first_name, childlastname: child.last_name, childage: child.age ? parseInt(child.age) : null, parentid: parentId, classid: classId, ...childMedicalInfo(child) });
+                } else {
+                    // Insert child information linked to parent
+                    const [childRes] = await trx('child_info').insert({ childfirstname: child.first_name, childlastname: child.last_name, childage: child.age ? parseInt(child.age) : null, parentid: parentId, classid: classId, ...childMedicalInfo(child) }).returning('childid');
+                    childId = childRes?.childid || childRes;
+                }
+
+                // Insert registration with pending status (awaiting admin approval), or waitlisted if the session is full
+                const [regRes] = await trx('registrations').insert({ 
+                    first_name: child.first_name, 
+                    last_name: child.last_name, 
+                    email, 
+                    phone, 
+                    birthdate: child.birthdate, 
+                    child_id: childId, 
+                    street_id: streetId, 
+                    class_id: classId, 
+                    Sessionid: selectedSession,
+                    created_at: new Date(),
+                    status: status,
+                    waitlist_position: waitlistPosition,
+                    pending_since: status === 'pending' ? new Date() : null,
+                    amount_due: pricing ? pricing.amount.toFixed(2) : null,
+                    price_note: pricing ? pricing.note : null
+                }).returning('id');
+                const regId = regRes?.id || regRes;
+
+                // Keep the signed waiver with each child's registration
+                await trx('waiver_signatures').insert(buildWaiverSignature(req, regId, waiver));
+
+                // The child's project choices, for instructors to track through the week
+                const projectIds = offeredProjectIds(currentSessions.find(s => s.Sessionid === selectedSession), child.projects);
+                if (projectIds.length > 0) {
+                    await trx('registration_projects').insert(projectIds.map(projectid => ({ reg_id: regId, projectid, status: 'chosen' })));
+                }
+
+                results.push({ child, sessionDetails, status, waitlistPosition, pricing, regId });
+            }
+            return results;
+        });
+
+        // --- SEND NOTIFICATION EMAILS ---
+        // One 'received' email to the parent listing every child given a seat, a 'waitlisted' email
+        // for each child placed on a waitlist, and one summary to the admin
+        const seated = results.filter(r => r.sessionDetails && r.status !== 'waitlisted');
+        const waitlisted = results.filter(r => r.sessionDetails && r.status === 'waitlisted');
+        const totalDue = seated.filter(r => r.pricing).reduce((sum, r) => sum + r.pricing.amount, 0);
+
+        try {
+            if (seated.length > 0) {
+                // Email to Parent - confirmation of registration received
+                const lines = seated.map(r => `- ${r.child.first_name} ${r.child.last_name}: ${formatSessionStr(r.sessionDetails)} - amount due ${formatAmountDue(r.pricing)}.`);
+                await sendTemplateEmail(db, 'registration_received', email, {
+                    parent_first_name,
+                    parent_last_name,
+                    child_first_name: seated[0].child.first_name,
+                    child_last_name: seated[0].child.last_name,
+                    session_name: seated[0].sessionDetails.Sessionname,
+                    children_list: lines.join('\n'),
+                    total_due: `$${totalDue.toFixed(2)}`,
+                    payment_deadline_days: PAYMENT_DEADLINE_DAYS
+                }, seated.length === 1 ? seated[0].regId : null);
+            }
+
+            // Email to Parent - one for each waitlisted child, with their place in line
+            for (const r of waitlisted) {
+                await sendRegistrationEmail(db, 'registration_waitlisted', r.regId);
+            }
+
+            if (seated.length + waitlisted.length > 0) {
+                // Email to Admin - notify about new pending/waitlisted registrations
+                const adminLines = [...seated, ...waitlisted].map(r => `- ${r.child.first_name} ${r.child.last_name}: ${formatSessionStr(r.sessionDetails)}${r.status === 'waitlisted' ? ` (waitlist #${r.waitlistPosition})` : ''}`);
+                const adminMsg = `You have ${results.length} new participant(s) from ${parent_first_name} ${parent_last_name} awaiting your approval:\n\n${adminLines.join('\n')}`;
+                sendEmail(ADMIN_EMAIL, "New Participant in Queue", adminMsg);
+            }
+        } catch (err) {
+            // The registration is saved either way; the emails can be resent from the delivery log
+            console.error("Failed to queue registration emails:", err);
+        }
+
+        // Fetch updated sessions list for re-rendering form
+        const sessions = await getSessionsWithCounts();
+
+        let successMsg = `Registration successful for ${results.length} child${results.length === 1 ? '' : 'ren'}! You will receive a confirmation message shortly.`;
+        if (results.some(r => r.status === 'waitlisted')) successMsg += " Some sessions were full, so those children have been added to the waitlist.";
+        if (totalDue > 0) successMsg += ` Total due: $${totalDue.toFixed(2)}.`;
+        res.render("register", { success_message: successMsg, error_message: "", sessions: sessions, family: null, waiver: waiver });
+
+    } catch (err) {
+        console.error("Registration error:", err);
+        let sessions = [];
+        let waiver = null;
+        try { 
+            sessions = await getSessionsWithCounts();
+            waiver = await getCurrentWaiver();
+        } catch(e){}
+        
+        res.render("register", { success_message: "", error_message: "Error saving registration.", sessions: sessions, waiver: waiver });
+    }
+}); 
+
+// --- PARENT PORTAL ROUTES (PUBLIC, MAGIC-LINK LOGIN) ---
+// Parents sign in with a one-time link emailed to them, then see their children's registrations
+// and can ask for a cancellation or session switch, which lands in the admin queue.
+const PARENT_LINK_MINUTES = 30;
+// Pages a sign-in link may send the parent to afterwards (e.g. back to a prefilled registration form)
+const PARENT_LINK_DESTINATIONS = ['/parent', '/register'];
+
+// Helper function: Hash a sign-in token so raw tokens are never stored
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Helper function: Public base URL for links in emails - only ever BASE_URL, never the request's Host header,
+// which the sender controls (a forged Host would point a parent's sign-in link at someone else's site)
+function getEmailBaseUrl() {
+    return (process.env.BASE_URL || '').replace(/\/+$/, '');
+}
+
+// Helper function: Base URL for links shown on a page to the signed-in account (falls back to the request host)
+function getBaseUrl(req) {
+    return getEmailBaseUrl() || `${req.protocol}://${req.get('host')}`;
+}
+
+// GET: Parent portal - sign-in form, or the family's registrations once signed in
+app.get('/parent', async (req, res) => {
+    const parentEmail = req.session.parentEmail;
+    if (!parentEmail) {
+        return res.render('parent_login', { success_message: '', error_message: req.query.error || '', next: req.query.next || '' });
+    }
+    if (!dbConnected) {
+        return res.render('parent_login', { success_message: '', error_message: 'Database unavailable.' });
+    }
+
+    try {
+        // Every registration made with this email, newest first
+        const registrations = await db('registrations')
+            .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+            .leftJoin(paymentTotalsQuery(), 'registrations.id', 'pay.reg_id')
+            .select(
+                'registrations.id as reg_id',
+                'registrations.first_name',
+                'registrations.last_name',
+                'registrations.status',
+                'registrations.waitlist_position',
+                'registrations.created_at',
+                'registrations.amount_due',
+                'registrations.price_note',
+                'registrations.Sessionid',
+                'Sessions.Sessionname',
+                'Sessions.startdate',
+                'Sessions.enddate',
+                'Sessions.starttime',
+                'Sessions.endtime',
+                'Sessions.season',
+                'Sessions.price',
+                'Sessions.earlybird_price',
+                'Sessions.earlybird_deadline',
+                'pay.total_paid'
+            )
+            .whereRaw('LOWER(registrations.email) = LOWER(?)', [parentEmail])
+            .whereNull('registrations.deleted_at')
+            .orderBy('registrations.created_at', 'desc');
+
+        registrations.forEach(r => {
+            r.total_paid = parseFloat(r.total_paid || 0);
+            r.amount_due = registrationAmountDue(r);
+            r.balance_due = Math.max(r.amount_due - r.total_paid, 0);
+        });
+
+        // Each child's chosen projects and how far along they are
+        const projects = registrations.length > 0
+            ? await db('registration_projects')
+                .join('projects', 'registration_projects.projectid', 'projects.projectid')
+                .select('registration_projects.reg_id', 'registration_projects.status', 'registration_projects.completed_at', 'projects.name', 'projects.image')
+                .whereIn('registration_projects.reg_id', registrations.map(r => r.reg_id))
+                .orderBy('projects.name', 'asc')
+            : [];
+        registrations.forEach(r => { r.projects = projects.filter(p => p.reg_id === r.reg_id); });
+
+        // Requests the parent has already sent, so they are not sent twice
+        const requests = registrations.length > 0
+            ? await db('change_requests')
+                .leftJoin('Sessions', 'change_requests.target_sessionid', 'Sessions.Sessionid')
+                .select('change_requests.*', 'Sessions.Sessionname as target_name')
+                .whereIn('change_requests.reg_id', registrations.map(r => r.reg_id))
+                .orderBy('change_requests.created_at', 'desc')
+            : [];
+
+        const sessions = await getSessionsWithCounts();
+
+        res.render('parent_portal', {
+            parentEmail,
+            registrations,
+            requests,
+            sessions,
+            projectStatusLabels: PROJECT_STATUS_LABELS,
+            success_message: req.query.success || '',
+            error_message: req.query.error || ''
+        });
+    } catch (err) {
+        console.error("Parent portal error:", err);
+        res.render('parent_login', { success_message: '', error_message: 'Error loading your registrations.' });
+    }
+});
+
+// POST: Email a one-time sign-in link to the parent
+// The response is the same whether or not the email is on file, so it cannot be used to look up families
+app.post('/parent/login', async (req, res) => {
+    const email = (req.body.email || '').trim();
+    const next = PARENT_LINK_DESTINATIONS.includes(req.body.next) ? req.body.next : '/parent';
+    if (!dbConnected) return res.render('parent_login', { success_message: '', error_message: 'Database unavailable.' });
+    if (!email) return res.render('parent_login', { success_message: '', error_message: 'Please enter your email.' });
+
+    // Without BASE_URL there is no trusted address to put in the link, so no links are sent
+    const baseUrl = getEmailBaseUrl();
+    if (!baseUrl) {
+        console.error("BASE_URL is not set. Parent sign-in links cannot be sent.");
+        return res.render('parent_login', { success_message: '', error_message: 'Sign-in links are not available right now. Please contact us.' });
+    }
+
+    const sentMsg = 'If that email has registrations with us, a sign-in link is on its way. It expires in ' + PARENT_LINK_MINUTES + ' minutes.';
+    try {
+        const known = await db('registrations').whereRaw('LOWER(email) = LOWER(?)', [email]).first('id');
+        if (known) {
+            const token = crypto.randomBytes(32).toString('hex');
+            await db('parent_login_tokens').insert({
+                token_hash: hashToken(token),
+                email: email.toLowerCase(),
+                expires_at: new Date(Date.now() + PARENT_LINK_MINUTES * 60 * 1000)
+            });
+
+            const link = `${baseUrl}/parent/verify/${token}${next !== '/parent' ? `?next=${encodeURIComponent(next)}` : ''}`;
+            const msg = `Hello! Use this link to view your family's Sewing Camp registrations: ${link}\n\nThe link works once and expires in ${PARENT_LINK_MINUTES} minutes. If you did not ask for it, you can ignore this email.`;
+            sendEmail(email, "Your Sewing Camp Sign-In Link", msg);
+        }
+        res.render('parent_login', { success_message: sentMsg, error_message: '' });
+    } catch (err) {
+        console.error("Parent login error:", err);
+        res.render('parent_login', { success_message: '', error_message: 'Error sending sign-in link.' });
+    }
+});
+
+// GET: Follow a sign-in link - marks the token used and signs the parent in
+app.get('/parent/verify/:token', async (req, res) => {
+    if (!dbConnected) return res.redirect('/parent?error=' + encodeURIComponent('Database unavailable.'));
+
+    try {
+        // Claim the token in one statement, so two requests with the same link cannot both sign in
+        const [tokenRow] = await db('parent_login_tokens')
+            .where('token_hash', hashToken(req.params.token))
+            .whereNull('used_at')
+            .where('expires_at', '>', new Date())
+            .update({ used_at: new Date() })
+            .returning(['tokenid', 'email']);
+        if (!tokenRow) {
+            return res.redirect('/parent?error=' + encodeURIComponent('That sign-in link is invalid or has expired. Please request a new one.'));
+        }
+
+        req.session.parentEmail = tokenRow.email;
+        res.redirect(PARENT_LINK_DESTINATIONS.includes(req.query.next) ? req.query.next : '/parent');
+    } catch (err) {
+        console.error("Parent verify error:", err);
+        res.redirect('/parent?error=' + encodeURIComponent('Error signing in.'));
+    }
+});
+
+// GET: Parent sign out (leaves any staff login untouched)
+app.get('/parent/logout', (req, res) => {
+    delete req.session.parentEmail;
+    res.redirect('/parent');
+});
+
+// POST: Parent asks to cancel a registration or switch it to another session
+app.post('/parent/request/:regId', async (req, res) => {
+    const parentEmail = req.session.parentEmail;
+    if (!parentEmail) return res.redirect('/parent');
+    const { request_type, target_session, message } = req.body;
+
+    if (!['cancel', 'switch'].includes(request_type) || (request_type === 'switch' && !target_session)) {
+        return res.redirect('/parent?error=' + encodeURIComponent('Please choose a request type, and a new session for a switch.'));
+    }
+
+    try {
+        // Parents may only send requests for their own registrations
+        const reg = await db('registrations')
+            .where('id', req.params.regId)
+            .whereRaw('LOWER(email) = LOWER(?)', [parentEmail])
+            .whereNull('deleted_at')
+            .first();
+        if (!reg) return res.redirect('/parent?error=' + encodeURIComponent('Registration not found.'));
+
+        const open = await db('change_requests').where({ reg_id: reg.id, status: 'open' }).first();
+        if (open) return res.redirect('/parent?error=' + encodeURIComponent('There is already an open request for this registration.'));
+
+        // A switch must name another session that still exists and has not started
+        // (a full one is allowed - the form offers it as a waitlist place, and the admin decides)
+        let target = null;
+        if (request_type === 'switch') {
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+            target = /^\d+$/.test(String(target_session).trim())
+                ? await db('Sessions').where('Sessionid', parseInt(target_session)).whereNull('deleted_at').where('startdate', '>=', today).first()
+                : null;
+            if (!target || target.Sessionid === reg.Sessionid) {
+                return res.redirect('/parent?error=' + encodeURIComponent('That session is not available to switch to. Please choose another.'));
+            }
+        }
+
+        await db('change_requests').insert({
+            reg_id: reg.id,
+            request_type,
+            target_sessionid: target ? target.Sessionid : null,
+            message: (message || '').slice(0, 500) || null,
+            status: 'open'
+        });
+
+        // Email to Admin - new request in the queue
+        const adminMsg = `${reg.first_name} ${reg.last_name}'s parent (${reg.email}) has requested a ${request_type === 'cancel' ? 'cancellation' : 'session switch'}. Review it on the admin dashboard.`;
+        sendEmail(ADMIN_EMAIL, "New Parent Request", adminMsg);
+
+        res.redirect('/parent?success=' + encodeURIComponent('Your request has been sent. We will email you once it has been reviewed.'));
+    } catch (err) {
+        console.error("Parent request error:", err);
+        res.redirect('/parent?error=' + encodeURIComponent('Error sending request.'));
+    }
+});
+
+// --- AUTHENTICATION ROUTES ---
+// Failed logins are counted per username and per IP address. Too many within the lockout window
+// locks that username (or address) out until the window has passed.
+// An address gets more attempts than a username, since several staff may share one office connection.
+// Behind a proxy, set TRUST_PROXY so req.ip is the client's address rather than the proxy's.
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS || 5);
+const MAX_LOGIN_ATTEMPTS_PER_IP = MAX_LOGIN_ATTEMPTS * 4;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const loginFailures = new Map(); // key ('user:name' or 'ip:address') -> { count, firstAt, lockedUntil }
+
+// Helper function: The throttle keys for a login attempt, with the attempt limit for each
+function loginThrottleKeys(req, username) {
+    return [
+        { key: `user:${String(username || '').trim().toLowerCase()}`, limit: MAX_LOGIN_ATTEMPTS },
+        { key: `ip:${req.ip}`, limit: MAX_LOGIN_ATTEMPTS_PER_IP }
+    ];
+}
+
+// Helper function: Minutes left on a lockout for any of these keys (0 if none is locked)
+function loginLockoutMinutes(keys) {
+    const now = Date.now();
+    const lockedUntil = Math.max(0, ...keys.map(({ key }) => (loginFailures.get(key) || {}).lockedUntil || 0));
+    return lockedUntil > now ? Math.ceil((lockedUntil - now) / 60000) : 0;
+}
+
+// Helper function: Count a failed login against each key, locking any key that reaches its limit
+function recordLoginFailure(keys) {
+    const now = Date.now();
+    const windowMs = LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+
+    // Forget entries whose window and lockout have both passed, so the map stays small
+    loginFailures.forEach((entry, key) => {
+        if (now - entry.firstAt > windowMs && entry.lockedUntil <= now) loginFailures.delete(key);
+    });
+
+    keys.forEach(({ key, limit }) => {
+        let entry = loginFailures.get(key);
+        if (!entry || now - entry.firstAt > windowMs) entry = { count: 0, firstAt: now, lockedUntil: 0 };
+        entry.count++;
+        if (entry.count >= limit) {
+            entry.lockedUntil = now + windowMs;
+            console.warn(`Login locked for ${LOGIN_LOCKOUT_MINUTES} minutes after ${entry.count} failed attempts: ${key}`);
+        }
+        loginFailures.set(key, entry);
+    });
+}
+
+// Helper function: Compare a password with the stored value
+// Accounts created before bcrypt was required may still hold plain text; those are compared in constant time
+async function checkPassword(password, stored) {
+    if (!stored) return false;
+    if (stored.startsWith('$2')) return bcrypt.compare(password, stored);
+    const a = Buffer.from(String(password));
+    const b = Buffer.from(String(stored));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Middleware: Login page forms need a CSRF token before anyone has signed in
+app.use('/login', (req, res, next) => {
+    res.locals.csrfToken = getCsrfToken(req);
+    next();
+});
+
+// GET: Display login page
+app.get('/login', (req, res) => {
+    if (req.session.user) return res.redirect('/admin');
+    res.render('login', { success_message: req.query.success || '', error_message: '' });
+});
+
+// POST: Handle login credentials
+// Validates username and password against authentication table
+// A plain-text password that still matches is replaced with its bcrypt hash straight away
+// Disabled accounts are refused with the same message as a wrong password
+app.post('/login', verifyCsrf, async (req, res) => {
+    const { username, password } = req.body;
+    if (!dbConnected) return res.render('login', { success_message: '', error_message: 'Database unavailable.' });
+
+    const keys = loginThrottleKeys(req, username);
+    const lockedMinutes = loginLockoutMinutes(keys);
+    if (lockedMinutes > 0) {
+        return res.status(429).render('login', { success_message: '', error_message: `Too many failed attempts. Please try again in ${lockedMinutes} minute${lockedMinutes === 1 ? '' : 's'}.` });
+    }
+
+    try {
+        // Fetch user from authentication table
+        const user = await db('authentication').where({ username }).first();
+        const match = user && !user.disabled && await checkPassword(password, user.password);
+        if (!match) {
+            recordLoginFailure(keys);
+            return res.render('login', { success_message: '', error_message: 'Invalid credentials.' });
+        }
+
+        if (!user.password.startsWith('$2')) {
+            await db('authentication').where('id', user.id).update({ password: await hashPassword(password) });
+            console.log(`Upgraded the stored password for ${user.username} to bcrypt.`);
+        }
+        loginFailures.delete(keys[0].key);
+
+        // Start a fresh session (new id and CSRF token) so nothing from before sign-in carries over
+        const staffUser = await buildStaffUser(user);
+        req.session.regenerate((err) => {
+            if (err) {
+                console.error('Login session error:', err);
+                return res.render('login', { success_message: '', error_message: 'Login error.' });
+            }
+            req.session.user = staffUser;
+            res.redirect('/admin');
+        });
+    } catch (err) {
+        console.error('Login error:', err);
+        res.render('login', { success_message: '', error_message: 'Login error.' });
+    }
+});
+
+// GET: Logout - destroy session and redirect to home
+app.get('/logout', (req, res) => {
+    req.session.destroy();
+    res.redirect('/');
+});
+
+// --- ACCESS CONTROL (Staff Roles) ---
+// owner: everything, including staff accounts
+// staff: instructors - rosters and notes for the sessions they are assigned to
+// readonly: can look at everything, change nothing
+const ROLES = ['owner', 'staff', 'readonly'];
+const ROLE_LABELS = { owner: 'Owner', staff: 'Instructor / Staff', readonly: 'Read-only' };
+const MIN_PASSWORD_LENGTH = 8;
+
+// Helper function: Hash a password for the authentication table
+async function hashPassword(password) {
+    return bcrypt.hash(password, 12);
+}
+
+// Helper function: Build the signed-in user kept in the session, with the sessions an instructor is assigned to
+async function buildStaffUser(account) {
+    const assigned = account.role === 'staff'
+        ? await db('staff_sessions').where('userid', account.id).pluck('sessionid')
+        : [];
+    return { id: account.id, username: account.username, role: account.role, sessionIds: assigned };
+}
+
+// Helper function: Can this user see a session's roster and notes?
+function canAccessSession(user, sessionId) {
+    if (!user) return false;
+    if (user.role !== 'staff') return true;
+    return (user.sessionIds || []).some(id => String(id) === String(sessionId));
+}
+
+// Helper function: Refuse a request the user's role does not allow
+function denyAccess(req, res) {
+    if (req.is('application/json')) return res.status(403).json({ error: 'Forbidden' });
+    res.status(403).send("You do not have permission to do that. <a href='/admin'>Back to Dashboard</a>");
+}
+
+// Middleware: Allow only the given roles (used on each /admin route after the check below)
+function allowRoles(...roles) {
+    return (req, res, next) => (roles.includes(req.session.user.role) ? next() : denyAccess(req, res));
+}
+const ownerOnly = allowRoles('owner');
+const ownerOrReadonly = allowRoles('owner', 'readonly');
+
+// Middleware: Instructors may only open the sessions they are assigned to (:sessionId routes)
+function allowSessionAccess(req, res, next) {
+    return canAccessSession(req.session.user, req.params.sessionId) ? next() : denyAccess(req, res);
+}
+
+// Middleware: Every /admin page needs a signed-in, enabled account
+// The account is read again on each request so a disabled account or changed role takes effect straight away
+app.use('/admin', async (req, res, next) => {
+    if (!req.session.user) {
+        if (req.is('application/json')) return res.status(401).json({ error: 'Unauthorized' });
+        return res.redirect('/login');
+    }
+    if (!dbConnected) return res.send("Database unavailable.");
+
+    try {
+        const account = await db('authentication').where('id', req.session.user.id).first();
+        if (!account || account.disabled || !ROLES.includes(account.role)) {
+            return req.session.destroy(() => res.redirect('/login'));
+        }
+        req.session.user = await buildStaffUser(account);
+        res.locals.user = req.session.user;
+        next();
+    } catch (err) {
+        console.error("Access check error:", err);
+        res.status(500).send("Error checking your account.");
+    }
+});
+
+// Middleware: Every admin form and AJAX POST must carry the session's CSRF token
+app.use('/admin', (req, res, next) => (req.method === 'POST' ? verifyCsrf(req, res, next) : next()));
+
+// --- ADMIN ROUTES (CRUD - Create, Read, Update, Delete) ---
+// All admin routes require an authenticated user session (checked above) and a role allowed by the route
+
+// Helper function: Work out each registration's amount due, balance, and whether the payment deadline has passed
+function addPaymentStatus(registrations) {
+    registrations.forEach(r => {
+        r.total_paid = parseFloat(r.total_paid || 0);
+        r.amount_due = registrationAmountDue(r);
+        r.balance_due = Math.max(r.amount_due - r.total_paid, 0);
+        r.payment_overdue = isPaymentOverdue(r);
+    });
+    return registrations;
+}
+
+// Helper function: Registrations with their parent, address, session and payment details,
+// filtered by the dashboard search box (shared by the dashboard and its exports)
+function buildRegistrationSearch(searchQuery) {
+    // Build query with joins to get all related data (parent, child, address, session info)
+    const query = db('registrations')
+        .leftJoin('child_info', 'registrations.child_id', 'child_info.childid')
+        .leftJoin('street', 'registrations.street_id', 'street.addressid')
+        .leftJoin('class_info', 'registrations.class_id', 'class_info.classid')
+        .leftJoin('parent_info', 'child_info.parentid', 'parent_info.parentid')
+        .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+        .leftJoin(paymentTotalsQuery(), 'registrations.id', 'pay.reg_id')
+        .select(
+            'registrations.id as reg_id',
+            'registrations.Sessionid',
+            'registrations.first_name',
+            'registrations.last_name',
+            'registrations.email',
+            'registrations.phone',
+            'registrations.birthdate',
+            'registrations.created_at',
+            'registrations.pending_since',
+            'registrations.notes', 
+            'registrations.status', 
+            'registrations.amount_due',
+            'registrations.price_note',
+            'Sessions.price',
+            'Sessions.earlybird_price',
+            'Sessions.earlybird_deadline',
+            'pay.total_paid',
+            'child_info.childage',
+            'street.streetaddress',
+            'street.city',
+            'street.state',
+            'street.zipcode',
+            'parent_info.parentfirstname',
+            'parent_info.parentlastname',
+            'parent_info.waiver',
+            'class_info.classinformation as special_requests',
+            'Sessions.Sessionname',
+            'Sessions.startdate as session_start',
+            'Sessions.enddate as session_end',
+            'Sessions.starttime as session_stime',
+            'Sessions.endtime as session_etime',
+            'Sessions.season'
+        )
+        .whereNull('registrations.deleted_at');
+    
+    // Apply search filter if search query provided
+    if (searchQuery) {
+        // Split search by comma or space for flexible multi-term searches
+        // Example: "John Summer" or "Smith, 2025" both work
+        const terms = searchQuery.split(/[\s,]+/).map(t => t.trim()).filter(t => t.length > 0);
+
+        if (terms.length > 0) {
+            // Search across all relevant fields with case-insensitive matching
+            query.where(builder => {
+                terms.forEach(term => {
+                    const pattern = `%${term}%`;
+                    builder.orWhere(subBuilder => {
+                        subBuilder.where('registrations.first_name', 'ilike', pattern)
+                            .orWhere('registrations.last_name', 'ilike', pattern)
+                            .orWhere('parent_info.parentfirstname', 'ilike', pattern)
+                            .orWhere('parent_info.parentlastname', 'ilike', pattern)
+                            .orWhere('registrations.email', 'ilike', pattern)
+                            .orWhere('registrations.phone', 'ilike', pattern)
+                            .orWhere('street.streetaddress', 'ilike', pattern)
+                            .orWhere('street.city', 'ilike', pattern)
+                            .orWhere('Sessions.Sessionname', 'ilike', pattern)
+                            .orWhere('Sessions.season', 'ilike', pattern)
+                            .orWhere('registrations.notes', 'ilike', pattern)
+                            .orWhereRaw("TO_CHAR(registrations.birthdate, 'YYYY-MM-DD') ILIKE ?", [pattern])
+                            .orWhereRaw("TO_CHAR(registrations.created_at, 'YYYY-MM-DD') ILIKE ?", [pattern])
+                            .orWhereRaw("TO_CHAR(\"Sessions\".startdate, 'YYYY-MM-DD') ILIKE ?", [pattern])
+                            .orWhereRaw("TO_CHAR(\"Sessions\".enddate, 'YYYY-MM-DD') ILIKE ?", [pattern]);
+                    });
+                });
+            });
+        }
+    }
+
+    // Sort by creation date (newest first)
+    return query.orderBy('registrations.created_at', 'desc');
+}
+
+// 1. READ (Admin Dashboard) - Display all registrations with search capability
+// Shows pending registrations separately for quick approval workflow
+// Supports multi-term search across multiple fields (name, email, session, dates, etc)
+app.get('/admin', async (req, res) => {
+    const searchQuery = req.query.search || '';
+
+    try {
+        // Instructors get their own sessions' campers (for notes and rosters), without the approval queues
+        if (req.session.user.role === 'staff') {
+            const sessionIds = req.session.user.sessionIds;
+            const mySessions = await db('Sessions').whereIn('Sessionid', sessionIds).whereNull('deleted_at').orderBy('startdate', 'asc');
+            const myRegistrations = await buildRegistrationSearch(searchQuery)
+                .whereIn('registrations.Sessionid', sessionIds)
+                .whereNotIn('registrations.status', NON_SEAT_STATUSES);
+            addPaymentStatus(myRegistrations);
+            const attendanceToday = await getTodaysAttendance(sessionIds);
+            return res.render('admin', { registrations: myRegistrations, pendingRegs: [], waitlists: [], changeRequests: [], overdueCount: 0, user: req.session.user, searchQuery, mySessions, attendanceToday });
+        }
+
+        const registrations = await buildRegistrationSearch(searchQuery);
+
+        addPaymentStatus(registrations);
+
+        // Separate pending registrations (awaiting approval) from processed ones
+        // Waitlisted registrations are shown in their own per-session queues below
         const pendingRegs = registrations.filter(r => r.status === 'pending');
-        const processedRegs = registrations.filter(r => r.status !== 'pending');
+        const processedRegs = registrations.filter(r => r.status !== 'pending' && r.status !== 'waitlisted');
+
+        // Build the waitlist for each session, in queue order (not affected by search)
+        const waitlisted = await db('registrations')
+            .leftJoin('child_info', 'registrations.child_id', 'child_info.childid')
+            .leftJoin('parent_info', 'child_info.parentid', 'parent_info.parentid')
+            .join('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+            .select(
+                'registrations.id as reg_id',
+                'registrations.first_name',
+                'registrations.last_name',
+                'registrations.email',
+                'registrations.phone',
+                'registrations.created_at',
+                'registrations.waitlist_position',
+                'parent_info.parentfirstname',
+                'parent_info.parentlastname',
+                'Sessions.Sessionid',
+                'Sessions.Sessionname',
+                'Sessions.startdate as session_start',
+                'Sessions.numseats',
+                'Sessions.season'
+            )
+            .where('registrations.status', 'waitlisted')
+            .whereNull('registrations.deleted_at')
+            .orderBy('Sessions.startdate', 'asc')
+            .orderBy('registrations.waitlist_position', 'asc');
+
+        // Open cancellation/switch requests from the parent portal
+        const changeRequests = await db('change_requests')
+            .join('registrations', 'change_requests.reg_id', 'registrations.id')
+            .leftJoin('Sessions as cur', 'registrations.Sessionid', 'cur.Sessionid')
+            .leftJoin('Sessions as target', 'change_requests.target_sessionid', 'target.Sessionid')
+            .select(
+                'change_requests.*',
+                'registrations.first_name',
+                'registrations.last_name',
+                'registrations.email',
+                'cur.Sessionname as current_name',
+                'cur.startdate as current_start',
+                'target.Sessionname as target_name',
+                'target.startdate as target_start'
+            )
+            .where('change_requests.status', 'open')
+            .whereNull('registrations.deleted_at')
+            .orderBy('change_requests.created_at', 'asc');
+
+        const waitlists = [];
+        waitlisted.forEach(r => {
+            let group = waitlists.find(w => w.Sessionid === r.Sessionid);
+            if (!group) {
+                group = { Sessionid: r.Sessionid, Sessionname: r.Sessionname, session_start: r.session_start, numseats: r.numseats, season: r.season, entries: [] };
+                waitlists.push(group);
+            }
+            group.entries.push(r);
+        });
+
+        const attendanceToday = await getTodaysAttendance();
+
+        res.render('admin', { 
+            registrations: processedRegs, 
+            pendingRegs: pendingRegs, 
+            waitlists: waitlists,
+            changeRequests: changeRequests,
+            overdueCount: pendingRegs.filter(r => r.payment_overdue).length,
+            user: req.session.user, 
+            searchQuery,
+            mySessions: [],
+            attendanceToday
+        });
+    } catch (err) {
+        console.error('Admin Fetch Error:', err);
+        res.render('admin', { registrations: [], pendingRegs: [], waitlists: [], changeRequests: [], overdueCount: 0, user: req.session.user, error: "Error loading data", searchQuery: '', mySessions: [], attendanceToday: [] });
+    }
+});
+
+// ROUTE: Child Registration History - every season a child has attended
+// Matches the child's record, plus older registrations made under the same parent email and child name
+app.get('/admin/child/:regId/history', ownerOrReadonly, async (req, res) => {
+    try {
+        const reg = await db('registrations').where('id', req.params.regId).first();
+        if (!reg) return res.send("Record not found");
+
+        // Includes registrations in the trash (marked as such) so the full history is visible
+        const history = await db('registrations')
+            .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+            .leftJoin('class_info', 'registrations.class_id', 'class_info.classid')
+            .leftJoin(paymentTotalsQuery(), 'registrations.id', 'pay.reg_id')
+            .select(
+                'registrations.id as reg_id',
+                'registrations.first_name',
+                'registrations.last_name',
+                'registrations.status',
+                'registrations.created_at',
+                'registrations.amount_due',
+                'registrations.notes',
+                'registrations.deleted_at',
+                'class_info.classinformation as special_requests',
+                'Sessions.Sessionname',
+                'Sessions.startdate',
+                'Sessions.enddate',
+                'Sessions.season',
+                'Sessions.price',
+                'Sessions.earlybird_price',
+                'Sessions.earlybird_deadline',
+                'pay.total_paid'
+            )
+            .where(builder => {
+                if (reg.child_id) builder.where('registrations.child_id', reg.child_id);
+                builder.orWhere(sub => {
+                    sub.whereRaw('LOWER(registrations.email) = LOWER(?)', [reg.email || ''])
+                        .whereRaw('LOWER(registrations.first_name) = LOWER(?)', [reg.first_name || ''])
+                        .whereRaw('LOWER(registrations.last_name) = LOWER(?)', [reg.last_name || '']);
+                });
+            })
+            .orderBy('Sessions.startdate', 'desc');
+
+        history.forEach(r => {
+            r.total_paid = parseFloat(r.total_paid || 0);
+            r.amount_due = registrationAmountDue(r);
+        });
+
+        res.render('admin_child_history', { child: reg, history });
+    } catch (err) {
+        console.error("Child History Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// ROUTE: Update Personal Notes (AJAX) - Admin can add notes to registrations
+// Instructors can add notes for campers in their own sessions
+app.post('/admin/update-note', allowRoles('owner', 'staff'), async (req, res) => {
+    const { reg_id, notes } = req.body;
+    try {
+        const reg = await db('registrations').where('id', reg_id).whereNull('deleted_at').first();
+        if (!reg) return res.status(404).json({ error: 'Registration not found' });
+        if (!canAccessSession(req.session.user, reg.Sessionid)) return denyAccess(req, res);
+
+        // Blur saves the note even when nothing changed - only log real changes
+        if ((reg.notes || '') !== (notes || '')) {
+            await db.transaction(async (trx) => {
+                await trx('registrations').where('id', reg.id).update({ notes: notes });
+                await recordAudit(trx, req, { action: 'registration.note', entityType: 'registration', entityId: reg.id, regId: reg.id, sessionId: reg.Sessionid, before: { notes: reg.notes }, after: { notes } });
+            });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Error updating note:", err);
+        res.status(500).json({ error: 'Failed to update note' });
+    }
+});
+
+// ROUTE: Approve Registration - Update status to 'approved' and send confirmation email to parent
+app.post('/admin/approve/:id', ownerOnly, async (req, res) => {
+    const regId = req.params.id;
+
+    try {
+        await db.transaction(async (trx) => {
+            // Update registration status to approved
+            // Only a pending registration already holds its seat; approving any other status could
+            // put a child back into a full session (a waitlisted child gets a seat by promotion instead)
+            const before = await trx('registrations').where('id', regId).whereNull('deleted_at').forUpdate().first();
+            if (!before || before.status !== 'pending') return;
+            await trx('registrations').where('id', regId).update({ status: 'approved' });
+            await recordAudit(trx, req, { action: 'registration.approve', entityType: 'registration', entityId: before.id, regId: before.id, sessionId: before.Sessionid, before: { status: before.status }, after: { status: 'approved' } });
+
+            // Send approval email with session details to parent (only sent once the approval is saved)
+            await sendRegistrationEmail(trx, 'registration_approved', before.id);
+        });
+
+        res.redirect('/admin');
+    } catch (err) {
+        console.error("Error approving:", err);
+        res.redirect('/admin');
+    }
+});
+
+// ROUTE: Reject Registration - Update status to 'rejected' and email the parent
+// Frees the seat, so the next waitlisted child for the session is promoted
+app.post('/admin/reject/:id', ownerOnly, async (req, res) => {
+    try {
+        await db.transaction(async (trx) => {
+            const reg = await trx('registrations').where('id', req.params.id).whereNull('deleted_at').forUpdate().first();
+            if (!reg) return;
+            // Only a pending or waitlisted registration can be rejected, so a repeat click (or a cancelled,
+            // released or already rejected row) does not email the parent again
+            const updated = await trx('registrations')
+                .where('id', reg.id)
+                .whereIn('status', ['pending', 'waitlisted'])
+                .update({ status: 'rejected', waitlist_position: null });
+            if (!updated) return;
+            await recordAudit(trx, req, { action: 'registration.reject', entityType: 'registration', entityId: reg.id, regId: reg.id, sessionId: reg.Sessionid, before: { status: reg.status, waitlist_position: reg.waitlist_position }, after: { status: 'rejected', waitlist_position: null } });
+            await sendRegistrationEmail(trx, 'registration_rejected', reg.id);
+            if (reg.Sessionid) {
+                await renumberWaitlist(trx, reg.Sessionid);
+                await promoteFromWaitlist(trx, reg.Sessionid, req);
+            }
+        });
+        res.redirect('/admin');
+    } catch (err) {
+        console.error("Error rejecting:", err);
+        res.redirect('/admin');
+    }
+});
+
+// ROUTE: Close a parent request - 'resolved' once the admin has made the change, or 'declined'
+// The parent is emailed either way
+app.post('/admin/requests/:id/:outcome', ownerOnly, async (req, res) => {
+    const { id, outcome } = req.params;
+    if (!['resolved', 'declined'].includes(outcome)) return res.redirect('/admin');
+
+    try {
+        const request = await db('change_requests')
+            .join('registrations', 'change_requests.reg_id', 'registrations.id')
+            .select('change_requests.*', 'registrations.first_name', 'registrations.last_name', 'registrations.email')
+            .where('change_requests.requestid', id)
+            .first();
+        if (!request) return res.redirect('/admin');
+
+        await db.transaction(async (trx) => {
+            await trx('change_requests').where('requestid', id).update({
+                status: outcome,
+                resolved_by: req.session.user.username,
+                resolved_at: new Date()
+            });
+            await recordAudit(trx, req, { action: `request.${outcome === 'resolved' ? 'resolve' : 'decline'}`, entityType: 'request', entityId: request.requestid, regId: request.reg_id, before: { status: request.status, request_type: request.request_type }, after: { status: outcome } });
+        });
+
+        // Email to Parent - outcome of their request
+        const what = request.request_type === 'cancel' ? 'cancellation' : 'session switch';
+        const msg = outcome === 'resolved'
+            ? `Hello, your ${what} request for ${request.first_name} ${request.last_name} has been completed. You can see the latest details in the parent portal.`
+            : `Hello, we were not able to make the ${what} you requested for ${request.first_name} ${request.last_name}. Please contact us if you have any questions.`;
+        sendEmail(request.email, "Update on Your Request - Sewing Camp", msg);
+
+        res.redirect('/admin');
+    } catch (err) {
+        console.error("Error closing request:", err);
+        res.redirect('/admin');
+    }
+});
+
+// 2. CREATE (Add New Registration from Admin)
+// Admin can manually add new participants without needing approval
+// Registrations added by admin are auto-approved
+app.get('/admin/add', ownerOnly, async (req, res) => {
+    
+    // Fetch available sessions for dropdown
+    let sessions = [];
+    if (dbConnected) {
+        try {
+            sessions = await getSessionsWithCounts();
+        } catch (err) {
+            console.error("Error fetching sessions for admin add:", err);
+        }
+    }
+    res.render('admin_add', { sessions, errors: {}, values: {}, error_message: req.query.error || '' }); 
+});
+
+// POST: Process new registration from admin form
+// Creates all related records and auto-approves the registration
+app.post('/admin/add', ownerOnly, async (req, res) => {
+    const { first_name, last_name, birthdate, age, parent_first_name, parent_last_name, email, street_address, city, state, zipcode, special_requests, selected_session, agree } = req.body;
+    const phone = normalizePhone(req.body.phone);
+
+    try {
+        // Validate the form - admin additions are approved straight away, so full sessions are refused
+        // (if the session fills before this is saved, the child joins its waitlist, as on the registration form)
+        const sessions = await getSessionsWithCounts();
+        const errors = validateRegistration(req.body, [req.body], sessions, { prefixFor: () => '', requireEmergencyContact: false });
+        if (hasErrors(errors)) {
+            return res.render('admin_add', { sessions, errors, values: req.body });
+        }
+
+        await db.transaction(async (trx) => {
+            // Insert parent information
+            const [parentRes] = await trx('parent_info').insert({ parentfirstname: parent_first_name, parentlastname: parent_last_name, email: email, cellphone: phone, waiver: agree ? 'Y' : 'N' }).returning('parentid');
+            const parentId = parentRes?.parentid || parentRes;
+
+            // Insert street address
+            const [streetRes] = await trx('street').insert({ streetaddress: street_address, city: city, state: state, zipcode: zipcode, parentid: parentId }).returning('addressid');
+            const streetId = streetRes?.addressid || streetRes;
+
+            // Insert class information
+            const [classRes] = await trx('class_info').insert({ classinformation: special_requests, classdate: new Date() }).returning('classid');
+            const classId = classRes?.classid || classRes;
+
+            // Insert child information
+            const [childRes] = await trx('child_info').insert({ childfirstname: first_name, childlastname: last_name, childage: age ? parseInt(age) : null, parentid: parentId, classid: classId, ...childMedicalInfo(req.body) }).returning('childid');
+            const childId = childRes?.childid || childRes;
+
+            // Claim the seat with the session locked, and work out the amount due for it
+            const { session: sessionDetails, status, waitlistPosition } = await reserveSeat(trx, selected_session ? parseInt(selected_session) : null);
+            const pricing = sessionDetails ? await computeAmountDue(trx, sessionDetails, email, first_name) : null;
+
+            // Insert registration with 'approved' status (auto-approved for admin additions), or waitlisted if the session is full
+            const [regRes] = await trx('registrations').insert({ 
+                first_name, 
+                last_name, 
+                email, 
+                phone, 
+                birthdate, 
+                child_id: childId, 
+                street_id: streetId, 
+                class_id: classId, 
+                Sessionid: selected_session ? parseInt(selected_session) : null,
+                created_at: new Date(),
+                status: status === 'waitlisted' ? 'waitlisted' : 'approved',
+                waitlist_position: waitlistPosition,
+                amount_due: pricing ? pricing.amount.toFixed(2) : null,
+                price_note: pricing ? pricing.note : null
+            }).returning('id');
+            const regId = regRes?.id || regRes;
+
+            const after = await fetchRegistrationForEdit(regId, trx);
+            await recordAudit(trx, req, { action: 'registration.create', entityType: 'registration', entityId: regId, regId, sessionId: after.Sessionid, after });
+        });
+        res.redirect('/admin');
+    } catch (err) {
+        console.error("Admin Add Error:", err);
+        res.redirect('/admin/add?error=' + encodeURIComponent('The registration could not be added. Please try again.'));
+    }
+});
+
+// Helper function: Fetch a registration with its child, address, class and parent details for the edit form
+// (also the before/after snapshot in the audit log, so pass the transaction when inside one)
+function fetchRegistrationForEdit(regId, conn = db) {
+    return conn('registrations')
+        .leftJoin('child_info', 'registrations.child_id', 'child_info.childid')
+        .leftJoin('street', 'registrations.street_id', 'street.addressid')
+        .leftJoin('class_info', 'registrations.class_id', 'class_info.classid')
+        .leftJoin('parent_info', 'child_info.parentid', 'parent_info.parentid')
+        .select(
+            'registrations.id as reg_id',
+            'registrations.first_name',
+            'registrations.last_name',
+            'registrations.email',
+            'registrations.phone',
+            'registrations.birthdate',
+            'registrations.Sessionid', 
+            'child_info.childage',
+            'child_info.childid',
+            'child_info.allergies',
+            'child_info.medications',
+            'child_info.medical_conditions',
+            'child_info.emergency_name',
+            'child_info.emergency_relation',
+            'child_info.emergency_phone',
+            'street.streetaddress',
+            'street.city',
+            'street.state',
+            'street.zipcode',
+            'street.addressid',
+            'parent_info.parentfirstname',
+            'parent_info.parentlastname',
+            'parent_info.parentid',
+            'parent_info.waiver',
+            'class_info.classinformation as special_requests',
+            'class_info.classid'
+        )
+        .where('registrations.id', regId)
+        .whereNull('registrations.deleted_at')
+        .first();
+}
+
+// 3. UPDATE (Edit Existing Registration)
+// GET: Display form with existing registration data pre-filled
+app.get('/admin/edit/:id', ownerOnly, async (req, res) => {
+    const regId = req.params.id;
+
+    try {
+        // Fetch available sessions
+        let sessions = [];
+        if (dbConnected) {
+             sessions = await getSessionsWithCounts();
+        }
+
+        // Fetch the registration record with all related data
+        const record = await fetchRegistrationForEdit(regId);
+
+        if (!record) return res.send("Record not found");
+        res.render('admin_edit', { record, sessions, errors: {} }); 
+    } catch (err) {
+        console.error("Edit Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// POST: Process updates to existing registration
+// Updates parent info, address, child info, and registration details
+app.post('/admin/edit/:id', ownerOnly, async (req, res) => {
+    const regId = req.params.id;
+    const { first_name, last_name, birthdate, age, parent_first_name, parent_last_name, email, street_address, city, state, zipcode, special_requests, child_id, parent_id, address_id, class_id, agree } = req.body;
+    const phone = normalizePhone(req.body.phone);
+
+    try {
+        // Validate the form - the session is changed from the transfer page, so it stays as it is here
+        const record = await fetchRegistrationForEdit(regId);
+        if (!record) return res.send("Record not found");
+        const sessions = await getSessionsWithCounts();
+        const body = { ...req.body, selected_session: record.Sessionid };
+        const errors = validateRegistration(body, [body], sessions, { prefixFor: () => '', currentSessionId: record.Sessionid, requireEmergencyContact: false });
+        if (hasErrors(errors)) {
+            // Re-show the form with what the admin typed (the session picker keeps the current session)
+            Object.assign(record, {
+                first_name, last_name, birthdate, email, city, state, zipcode, special_requests,
+                phone: req.body.phone,
+                childage: age,
+                parentfirstname: parent_first_name,
+                parentlastname: parent_last_name,
+                streetaddress: street_address,
+                waiver: agree ? 'Y' : 'N',
+                ...childMedicalInfo(req.body),
+                emergency_phone: req.body.emergency_phone
+            });
+            return res.render('admin_edit', { record, sessions, errors });
+        }
+
+        // Update each table if the corresponding ID is provided
+        await db.transaction(async (trx) => {
+            // Update parent information
+            if (parent_id) {
+                await trx('parent_info').where('parentid', parent_id).update({ 
+                    parentfirstname: parent_first_name, 
+                    parentlastname: parent_last_name, 
+                    email: email, 
+                    cellphone: phone,
+                    waiver: agree ? 'Y' : 'N'
+                });
+            }
+            // Update address
+            if (address_id) {
+                await trx('street').where('addressid', address_id).update({ streetaddress: street_address, city: city, state: state, zipcode: zipcode });
+            }
+            // Update class information (special requests)
+            if (class_id) {
+                await trx('class_info').where('classid', class_id).update({ classinformation: special_requests });
+            }
+            // Update child information
+            if (child_id) {
+                await trx('child_info').where('childid', child_id).update({ childfirstname: first_name, childlastname: last_name, childage: age, ...childMedicalInfo(req.body) });
+            }
+            // Update main registration record
+            await trx('registrations').where('id', regId).update({ 
+                first_name, 
+                last_name, 
+                email, 
+                phone, 
+                birthdate
+            });
+
+            const after = await fetchRegistrationForEdit(regId, trx);
+            await recordAudit(trx, req, { action: 'registration.edit', entityType: 'registration', entityId: record.reg_id, regId: record.reg_id, sessionId: after.Sessionid, before: record, after });
+        });
+        res.redirect('/admin');
+    } catch (err) {
+        console.error("Update Error:", err);
+        res.send("Error updating record");
+    }
+});
+
+// 4. DELETE - Move a registration to the trash (it can be restored or purged from there)
+app.post('/admin/delete/:id', ownerOnly, async (req, res) => {
+    const regId = req.params.id;
+
+    try {
+        await db.transaction(async (trx) => {
+            const reg = await trx('registrations').where('id', regId).whereNull('deleted_at').first();
+            if (!reg) return;
+
+            const deletedAt = new Date();
+            await trx('registrations').where('id', reg.id).update({ deleted_at: deletedAt, deleted_by: req.session.user.username, waitlist_position: null });
+            await recordAudit(trx, req, { action: 'registration.delete', entityType: 'registration', entityId: reg.id, regId: reg.id, sessionId: reg.Sessionid, before: { deleted_at: null, waitlist_position: reg.waitlist_position }, after: { deleted_at: deletedAt, waitlist_position: null } });
+
+            // Fill the freed seat from the session's waitlist
+            if (reg.Sessionid) {
+                await renumberWaitlist(trx, reg.Sessionid);
+                await promoteFromWaitlist(trx, reg.Sessionid, req);
+            }
+        });
+        res.redirect('/admin');
+    } catch (err) {
+        console.error("Delete Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// --- ADMIN TRANSFER ROUTES (Move a Registration to Another Session) ---
+// A transfer keeps the registration itself - its payments, amount due, projects and history - and
+// only changes the session. The child takes a seat in the new session, or its waitlist when the admin
+// allows it, and a seat freed in the old session goes to the next child on that waitlist.
+const TRANSFERABLE_STATUSES = ['pending', 'approved', 'waitlisted'];
+const MAX_TRANSFER_REASON_LENGTH = 500;
+
+// Helper function: A registration with its session and payments, for the transfer page
+function fetchRegistrationForTransfer(regId, conn = db) {
+    return conn('registrations')
+        .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+        .leftJoin(paymentTotalsQuery(), 'registrations.id', 'pay.reg_id')
+        .select('registrations.*', 'Sessions.Sessionname', 'Sessions.season', 'Sessions.startdate', 'Sessions.enddate', 'Sessions.starttime', 'Sessions.endtime', 'Sessions.price', 'Sessions.earlybird_price', 'Sessions.earlybird_deadline', 'pay.total_paid')
+        .where('registrations.id', regId)
+        .whereNull('registrations.deleted_at')
+        .first();
+}
+
+// Helper function: Sessions a registration can move to - upcoming ones other than its own,
+// with the seats left and how many children are waiting
+async function getTransferTargets(reg) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const waiting = await db('registrations')
+        .where('status', 'waitlisted')
+        .whereNull('deleted_at')
+        .select('Sessionid')
+        .count('id as count')
+        .groupBy('Sessionid');
+
+    return (await getSessionsWithCounts())
+        .filter(s => s.Sessionid !== reg.Sessionid && new Date(s.enddate) >= today)
+        .map(s => {
+            const enrolled = parseInt(s.enrolled_count) || 0;
+            const w = waiting.find(row => row.Sessionid === s.Sessionid);
+            return {
+                ...s,
+                seatsLeft: s.numseats === null ? null : Math.max(s.numseats - enrolled, 0),
+                full: isSessionFull(s, enrolled),
+                waitlistCount: w ? parseInt(w.count) : 0
+            };
+        });
+}
+
+// Helper function: Render the transfer page for a registration
+async function renderTransfer(req, res, reg, page = {}) {
+    const transfers = await db('registration_transfers')
+        .leftJoin('Sessions as from_s', 'registration_transfers.from_session', 'from_s.Sessionid')
+        .leftJoin('Sessions as to_s', 'registration_transfers.to_session', 'to_s.Sessionid')
+        .select('registration_transfers.*', 'from_s.Sessionname as from_name', 'from_s.startdate as from_start', 'to_s.Sessionname as to_name', 'to_s.startdate as to_start')
+        .where('registration_transfers.reg_id', reg.id)
+        .orderBy('registration_transfers.transferred_at', 'desc');
+
+    res.render('admin_transfer', {
+        reg,
+        targets: await getTransferTargets(reg),
+        transfers,
+        transferable: TRANSFERABLE_STATUSES.includes(reg.status),
+        amountDue: registrationAmountDue(reg),
+        totalPaid: parseFloat(reg.total_paid || 0),
+        maxReasonLength: MAX_TRANSFER_REASON_LENGTH,
+        values: {},
+        errors: {},
+        success_message: req.query.success || '',
+        error_message: req.query.error || '',
+        ...page
+    });
+}
+
+// Helper function: Move a registration to `target` inside a transaction
+// Returns { status, waitlistPosition }, or { refused: true } when the target is full and the waitlist was not allowed
+// `refillOldSession` is false when the old session is being deleted, so no one is promoted into it
+async function transferRegistration(trx, req, reg, target, { reason, allowWaitlist, refillOldSession = true }) {
+    const placement = await reserveSeat(trx, target.Sessionid);
+    if (placement.status === 'waitlisted' && !allowWaitlist) return { refused: true };
+
+    // The price agreed for the old session stays, so moving never changes what the family owes
+    const changes = {
+        Sessionid: target.Sessionid,
+        waitlist_position: null,
+        amount_due: reg.amount_due !== null ? reg.amount_due : computeSessionPrice(reg, new Date(reg.created_at)).amount.toFixed(2)
+    };
+    if (placement.status === 'waitlisted') {
+        Object.assign(changes, { status: 'waitlisted', waitlist_position: placement.waitlistPosition });
+    } else if (reg.status === 'waitlisted') {
+        Object.assign(changes, { status: 'pending', pending_since: new Date() });
+    }
+    const status = changes.status || reg.status;
+
+    await trx('registrations').where('id', reg.id).update(changes);
+    await trx('registration_transfers').insert({
+        reg_id: reg.id,
+        from_session: reg.Sessionid,
+        to_session: target.Sessionid,
+        from_status: reg.status,
+        to_status: status,
+        reason,
+        transferred_by: req.session.user.username
+    });
+    await recordAudit(trx, req, {
+        action: 'registration.transfer',
+        entityType: 'registration',
+        entityId: reg.id,
+        regId: reg.id,
+        sessionId: target.Sessionid,
+        before: { Sessionid: reg.Sessionid, status: reg.status, waitlist_position: reg.waitlist_position },
+        after: { ...changes, status, reason }
+    });
+
+    // The old session: close the gap in its waitlist, or give the freed seat to the next child waiting
+    if (reg.Sessionid && refillOldSession) {
+        if (reg.status === 'waitlisted') await renumberWaitlist(trx, reg.Sessionid);
+        else await promoteFromWaitlist(trx, reg.Sessionid, req);
+    }
+
+    return { status, waitlistPosition: changes.waitlist_position };
+}
+
+// GET: The transfer page - the registration, the sessions it can move to, and its past transfers
+app.get('/admin/transfer/:id', ownerOnly, async (req, res) => {
+    try {
+        const reg = await fetchRegistrationForTransfer(req.params.id);
+        if (!reg) return res.send("Record not found");
+        await renderTransfer(req, res, reg);
+    } catch (err) {
+        console.error("Transfer Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// POST: Move the registration and email the parent the new dates and times
+app.post('/admin/transfer/:id', ownerOnly, async (req, res) => {
+    const reason = String(req.body.reason || '').trim();
+    const allowWaitlist = req.body.allow_waitlist === 'true';
+    const values = { target_session: req.body.target_session, reason, allow_waitlist: allowWaitlist };
+
+    try {
+        const reg = await fetchRegistrationForTransfer(req.params.id);
+        if (!reg) return res.send("Record not found");
+        if (!TRANSFERABLE_STATUSES.includes(reg.status)) {
+            return await renderTransfer(req, res, reg, { values, error_message: `A ${reg.status} registration cannot be moved.` });
+        }
+
+        // Check the choice against the seats shown (the transaction checks again with the session locked)
+        const targets = await getTransferTargets(reg);
+        const errors = validateSessionChoice(req.body.target_session, targets, 'target_session', {}, { allowWaitlist });
+        if (errors.target_session && !allowWaitlist && targets.some(s => String(s.Sessionid) === String(req.body.target_session))) {
+            errors.target_session += ' Tick "Put on the waitlist" to move the child onto its waitlist instead.';
+        }
+        if (isBlank(reason)) errors.reason = 'Please say why the child is being moved.';
+        else if (reason.length > MAX_TRANSFER_REASON_LENGTH) errors.reason = `Please keep the reason under ${MAX_TRANSFER_REASON_LENGTH} characters.`;
+        if (hasErrors(errors)) return await renderTransfer(req, res, reg, { values, errors });
+
+        const target = targets.find(s => String(s.Sessionid) === String(req.body.target_session));
+        const result = await db.transaction(async (trx) => {
+            // Re-read the registration inside the transaction so two moves cannot overlap
+            const current = await trx('registrations').where('id', reg.id).whereNull('deleted_at').forUpdate().first();
+            if (!current || current.Sessionid !== reg.Sessionid || !TRANSFERABLE_STATUSES.includes(current.status)) return { changed: true };
+
+            const moved = await transferRegistration(trx, req, { ...reg, ...current }, target, { reason, allowWaitlist });
+            if (moved.refused) return moved;
+
+            // Email to Parent - queued in this transaction, so it is only sent if the move is saved
+            const transferNote = moved.status === 'waitlisted'
+                ? `It is currently full, so ${reg.first_name} is on its waitlist at position #${moved.waitlistPosition}. We will email you right away if a spot opens up.`
+                : 'Your spot is saved.';
+            await sendRegistrationEmail(trx, 'registration_transferred', reg.id, { previous_session: formatSessionStr(reg), transfer_note: transferNote });
+            return moved;
+        });
+
+        if (result.changed) {
+            return res.redirect(`/admin/transfer/${reg.id}?error=` + encodeURIComponent('This registration was changed by someone else, so nothing was moved. Please check it and try again.'));
+        }
+        if (result.refused) {
+            return await renderTransfer(req, res, reg, { values, errors: { target_session: `${target.Sessionname} has just filled up. Tick "Put on the waitlist" to move the child onto its waitlist instead.` } });
+        }
+
+        const where = result.status === 'waitlisted' ? `onto the waitlist (#${result.waitlistPosition}) of` : 'to';
+        res.redirect(`/admin/transfer/${reg.id}?success=` + encodeURIComponent(`${reg.first_name} ${reg.last_name} was moved ${where} ${formatSessionStr(target)}, and the parent has been emailed.`));
+    } catch (err) {
+        console.error("Transfer Error:", err);
+        res.send("Error moving registration");
+    }
+});
+
+// --- ADMIN CANCELLATION ROUTES (Cancel a Registration, Refund Policy & Refunds) ---
+// Cancelling keeps the registration (as 'cancelled', with the reason) so its payments and history stay.
+// The refund is worked out from the refund policy - a percentage of what was paid, by how many days
+// before the session starts the cancellation is made - and recorded in the ledger as a negative payment.
+const CANCELLABLE_STATUSES = ['pending', 'approved', 'waitlisted'];
+const MAX_CANCEL_REASON_LENGTH = 500;
+const MAX_REFUND_RULES = 5;
+
+// Default policy: a full refund two weeks or more before the session starts, half one week or more before,
+// and nothing after that. Saved as "days:percent" pairs.
+const REFUND_DEFAULTS = { refund_rules: '14:100,7:50' };
+
+// Helper function: Read the refund rules as [{ days, percent }], most days first
+function parseRefundRules(text) {
+    return String(text || '').split(',')
+        .map(pair => pair.split(':').map(n => parseInt(n)))
+        .filter(([days, percent]) => Number.isInteger(days) && Number.isInteger(percent))
+        .map(([days, percent]) => ({ days, percent }))
+        .sort((a, b) => b.days - a.days);
+}
+
+// Helper function: The saved refund rules
+async function getRefundRules() {
+    const { refund_rules } = await getSettings(REFUND_DEFAULTS);
+    return parseRefundRules(refund_rules);
+}
+
+// Helper function: A refund rule in words, e.g. "Cancelled 14 or more days before the session starts: 100% refund"
+function describeRefundRule(rule) {
+    const when = rule.days === 0 ? 'Cancelled before the session starts' : `Cancelled ${rule.days} or more day${rule.days === 1 ? '' : 's'} before the session starts`;
+    return `${when}: ${rule.percent === 0 ? 'no refund' : `${rule.percent}% refund`}`;
+}
+
+// Helper function: Whole days from `on` until a session starts (negative once it has started)
+function daysBeforeSession(startdate, on = new Date()) {
+    const start = new Date(startdate);
+    start.setHours(0, 0, 0, 0);
+    const day = new Date(on);
+    day.setHours(0, 0, 0, 0);
+    return Math.round((start - day) / DAY_MS);
+}
+
+// Helper function: The refund due when cancelling on `on` - the first rule the cancellation is early
+// enough for, applied to what has been paid (no rule matching means no refund)
+function calculateRefund(rules, startdate, totalPaid, on = new Date()) {
+    const daysBefore = startdate ? daysBeforeSession(startdate, on) : null;
+    const rule = daysBefore === null ? rules[0] : rules.find(r => daysBefore >= r.days);
+    const percent = rule ? rule.percent : 0;
+    return { daysBefore, rule: rule || null, percent, amount: Math.round(totalPaid * percent) / 100 };
+}
+
+// Helper function: The line in the cancellation email about the refund
+function refundNote(refund, amount, totalPaid) {
+    if (totalPaid <= 0) return 'No payment had been made, so nothing is owed.';
+    const when = refund.daysBefore === null ? '' : ` (the cancellation was ${refund.daysBefore} day${refund.daysBefore === 1 ? '' : 's'} before the session starts)`;
+    if (amount <= 0) return `Under our cancellation policy no refund is due${when}.`;
+    return `A refund of $${amount.toFixed(2)} of the $${totalPaid.toFixed(2)} you paid is on its way${when}.`;
+}
+
+// Helper function: A registration with its session and what has been paid, for the cancel page
+function fetchRegistrationForCancel(regId, conn = db) {
+    return conn('registrations')
+        .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+        .leftJoin(paymentTotalsQuery(), 'registrations.id', 'pay.reg_id')
+        .select('registrations.*', 'Sessions.Sessionname', 'Sessions.startdate', 'Sessions.enddate', 'pay.total_paid')
+        .where('registrations.id', regId)
+        .whereNull('registrations.deleted_at')
+        .first();
+}
+
+// Helper function: Render the cancel page for a registration
+async function renderCancel(req, res, reg, page = {}) {
+    const rules = await getRefundRules();
+    const totalPaid = parseFloat(reg.total_paid || 0);
+    const refund = calculateRefund(rules, reg.startdate, totalPaid);
+
+    res.render('admin_cancel', {
+        reg,
+        rules,
+        describeRefundRule,
+        refund,
+        totalPaid,
+        cancellable: CANCELLABLE_STATUSES.includes(reg.status),
+        methods: PAYMENT_METHODS,
+        maxReasonLength: MAX_CANCEL_REASON_LENGTH,
+        values: { refund_amount: refund.amount.toFixed(2), record_refund: true },
+        errors: {},
+        success_message: req.query.success || '',
+        error_message: req.query.error || '',
+        ...page
+    });
+}
+
+// GET: The cancel page - the refund the policy gives today, and the form to cancel
+app.get('/admin/cancel/:id', ownerOrReadonly, async (req, res) => {
+    try {
+        const reg = await fetchRegistrationForCancel(req.params.id);
+        if (!reg) return res.send("Record not found");
+        await renderCancel(req, res, reg);
+    } catch (err) {
+        console.error("Cancel Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// POST: Cancel the registration, record the refund, free the seat and email the parent
+app.post('/admin/cancel/:id', ownerOnly, async (req, res) => {
+    const reason = String(req.body.reason || '').trim();
+    const recordRefund = req.body.record_refund === 'true';
+    const values = { reason, refund_amount: req.body.refund_amount, refund_method: req.body.refund_method, record_refund: recordRefund };
+
+    try {
+        const reg = await fetchRegistrationForCancel(req.params.id);
+        if (!reg) return res.send("Record not found");
+        if (!CANCELLABLE_STATUSES.includes(reg.status)) {
+            return await renderCancel(req, res, reg, { values, error_message: `This registration is already ${reg.status}.` });
+        }
+
+        // The refund defaults to the policy amount; a different amount is allowed, up to what was paid
+        const totalPaid = parseFloat(reg.total_paid || 0);
+        const refund = calculateRefund(await getRefundRules(), reg.startdate, totalPaid);
+        const amount = isBlank(req.body.refund_amount) ? refund.amount : Number(req.body.refund_amount);
+        const errors = {};
+        if (isBlank(reason)) errors.reason = 'Please give the reason for cancelling.';
+        else if (reason.length > MAX_CANCEL_REASON_LENGTH) errors.reason = `Please keep the reason under ${MAX_CANCEL_REASON_LENGTH} characters.`;
+        if (!(amount >= 0) || amount > totalPaid) errors.refund_amount = `The refund must be between $0.00 and the $${totalPaid.toFixed(2)} paid.`;
+        if (recordRefund && amount > 0 && !PAYMENT_METHODS.includes(req.body.refund_method)) errors.refund_method = 'Please choose how the refund is paid.';
+        if (hasErrors(errors)) return await renderCancel(req, res, reg, { values, errors });
+
+        const refundAmount = Math.round(amount * 100) / 100;
+        const cancelled = await db.transaction(async (trx) => {
+            // Re-read the registration inside the transaction so it cannot be cancelled twice
+            const current = await trx('registrations').where('id', reg.id).whereNull('deleted_at').forUpdate().first();
+            if (!current || !CANCELLABLE_STATUSES.includes(current.status)) return false;
+
+            const changes = {
+                status: 'cancelled',
+                waitlist_position: null,
+                cancelled_at: new Date(),
+                cancelled_by: req.session.user.username,
+                cancel_reason: reason,
+                refund_amount: refundAmount.toFixed(2)
+            };
+            await trx('registrations').where('id', reg.id).update(changes);
+            await recordAudit(trx, req, {
+                action: 'registration.cancel',
+                entityType: 'registration',
+                entityId: reg.id,
+                regId: reg.id,
+                sessionId: reg.Sessionid,
+                before: { status: current.status, waitlist_position: current.waitlist_position },
+                after: { ...changes, total_paid: totalPaid.toFixed(2), policy_refund: refund.amount.toFixed(2), policy_percent: refund.percent, days_before: refund.daysBefore }
+            });
+
+            // The refund goes in the ledger as a negative payment, so the paid total nets it out
+            if (recordRefund && refundAmount > 0) {
+                const payment = { reg_id: reg.id, amount: (-refundAmount).toFixed(2), method: req.body.refund_method, paid_on: new Date(), reference: 'Refund - cancelled', recorded_by: req.session.user.username };
+                const [paymentRes] = await trx('payments').insert(payment).returning('paymentid');
+                await recordAudit(trx, req, { action: 'payment.refund', entityType: 'payment', entityId: paymentRes?.paymentid || paymentRes, regId: reg.id, sessionId: reg.Sessionid, after: payment });
+            }
+
+            // Give the seat to the next child waiting, or close the gap in the waitlist
+            if (reg.Sessionid) {
+                if (current.status === 'waitlisted') await renumberWaitlist(trx, reg.Sessionid);
+                else await promoteFromWaitlist(trx, reg.Sessionid, req);
+            }
+
+            // Email to Parent - queued in this transaction, so it is only sent if the cancellation is saved
+            await sendRegistrationEmail(trx, 'registration_cancelled', reg.id, {
+                refund_amount: `$${refundAmount.toFixed(2)}`,
+                refund_note: refundNote(refund, refundAmount, totalPaid)
+            });
+            return true;
+        });
+
+        if (!cancelled) {
+            return res.redirect(`/admin/cancel/${reg.id}?error=` + encodeURIComponent('This registration had already been cancelled or changed, so nothing was done.'));
+        }
+        const refunded = refundAmount > 0 ? ` with a $${refundAmount.toFixed(2)} refund${recordRefund ? ' recorded in the ledger' : ' (not recorded in the ledger)'}` : '';
+        res.redirect(`/admin/cancel/${reg.id}?success=` + encodeURIComponent(`${reg.first_name} ${reg.last_name}'s registration was cancelled${refunded}, and the parent has been emailed.`));
+    } catch (err) {
+        console.error("Cancel Error:", err);
+        res.send("Error cancelling registration");
+    }
+});
+
+// Helper function: Everything the refund policy page shows
+async function loadRefundPolicyPage() {
+    const cancellations = await db('registrations')
+        .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+        .leftJoin(paymentTotalsQuery(), 'registrations.id', 'pay.reg_id')
+        .select('registrations.id', 'registrations.first_name', 'registrations.last_name', 'registrations.cancelled_at', 'registrations.cancelled_by', 'registrations.cancel_reason', 'registrations.refund_amount', 'Sessions.Sessionname', 'Sessions.startdate', 'pay.total_paid')
+        .where('registrations.status', 'cancelled')
+        .whereNotNull('registrations.cancelled_at')
+        .whereNull('registrations.deleted_at')
+        .orderBy('registrations.cancelled_at', 'desc')
+        .limit(50);
+    return { rules: await getRefundRules(), cancellations, describeRefundRule, maxRules: MAX_REFUND_RULES };
+}
+
+// GET: The refund policy and the most recent cancellations
+app.get('/admin/refund-policy', ownerOrReadonly, async (req, res) => {
+    try {
+        const page = await loadRefundPolicyPage();
+        res.render('admin_refund_policy', { ...page, values: null, errors: {}, success_message: req.query.success || '' });
+    } catch (err) {
+        console.error("Refund Policy Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// POST: Save the refund policy
+app.post('/admin/refund-policy', ownerOnly, async (req, res) => {
+    const rows = [].concat(req.body.rules || []).slice(0, MAX_REFUND_RULES)
+        .map(r => ({ days: String((r && r.days) || '').trim(), percent: String((r && r.percent) || '').trim() }))
+        .filter(r => r.days !== '' || r.percent !== '');
+
+    const errors = {};
+    const rules = rows.map(r => ({ days: Number(r.days), percent: Number(r.percent) }));
+    if (rules.some(r => !Number.isInteger(r.days) || r.days < 0 || r.days > 365)) errors.rules = 'Days before must be whole numbers from 0 to 365.';
+    else if (rules.some(r => !Number.isInteger(r.percent) || r.percent < 0 || r.percent > 100)) errors.rules = 'Refunds must be whole percentages from 0 to 100.';
+    else if (new Set(rules.map(r => r.days)).size !== rules.length) errors.rules = 'Each rule needs a different number of days.';
+
+    try {
+        if (hasErrors(errors)) {
+            const page = await loadRefundPolicyPage();
+            return res.render('admin_refund_policy', { ...page, values: rows, errors, success_message: '' });
+        }
+
+        const value = rules.sort((a, b) => b.days - a.days).map(r => `${r.days}:${r.percent}`).join(',');
+        const before = await getSettings(REFUND_DEFAULTS);
+        await db.transaction(async (trx) => {
+            await saveSettings(trx, { refund_rules: value }, req.session.user.username);
+            await recordAudit(trx, req, { action: 'settings.refund_policy', entityType: 'setting', before, after: { refund_rules: value } });
+        });
+        res.redirect('/admin/refund-policy?success=' + encodeURIComponent('Refund policy saved.'));
+    } catch (err) {
+        console.error("Refund Policy Save Error:", err);
+        res.redirect('/admin/refund-policy');
+    }
+});
+
+// --- ADMIN ROSTER ROUTES (Printable Session Roster with Medical Info) ---
+
+// Helper function: Every child holding a seat in a session, with medical details and emergency contact
+function getSessionRoster(sessionId) {
+    return db('registrations')
+        .leftJoin('child_info', 'registrations.child_id', 'child_info.childid')
+        .leftJoin('parent_info', 'child_info.parentid', 'parent_info.parentid')
+        .select(
+            'registrations.id as reg_id',
+            'registrations.first_name',
+            'registrations.last_name',
+            'registrations.birthdate',
+            'registrations.phone',
+            'registrations.email',
+            'registrations.status',
+            'child_info.childage',
+            'child_info.allergies',
+            'child_info.medications',
+            'child_info.medical_conditions',
+            'child_info.emergency_name',
+            'child_info.emergency_relation',
+            'child_info.emergency_phone',
+            'parent_info.parentfirstname',
+            'parent_info.parentlastname'
+        )
+        .where('registrations.Sessionid', sessionId)
+        .whereNull('registrations.deleted_at')
+        .whereNotIn('registrations.status', NON_SEAT_STATUSES)
+        .orderBy(['registrations.last_name', 'registrations.first_name']);
+}
+
+// GET: Roster for one session - every child holding a seat with allergies, medications and emergency contact
+// Contains medical details, so it is only available to signed-in staff
+app.get('/admin/roster/:sessionId', allowSessionAccess, async (req, res) => {
+    const sessionId = req.params.sessionId;
+
+    try {
+        const session = await db('Sessions').where('Sessionid', sessionId).whereNull('deleted_at').first();
+        if (!session) return res.send("Session not found");
+
+        const campers = await getSessionRoster(sessionId);
+
+        res.render('admin_roster', { session, campers, sessionStr: formatSessionStr(session) });
+    } catch (err) {
+        console.error("Roster Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// --- ADMIN ATTENDANCE ROUTES (Daily Check-in Sheet per Session) ---
+// Instructors mark their own sessions; read-only accounts can look but not mark
+
+// Helper function: Children on a session's attendance sheet, with their marks for one day
+function getAttendanceSheet(sessionId, day) {
+    return db('registrations')
+        .leftJoin('child_info', 'registrations.child_id', 'child_info.childid')
+        .leftJoin('parent_info', 'child_info.parentid', 'parent_info.parentid')
+        .leftJoin('attendance', function () {
+            this.on('attendance.reg_id', '=', 'registrations.id').andOn('attendance.attendance_date', '=', db.raw('?', [day]));
+        })
+        .select(
+            'registrations.id as reg_id',
+            'registrations.first_name',
+            'registrations.last_name',
+            'registrations.phone',
+            'parent_info.parentfirstname',
+            'parent_info.parentlastname',
+            'child_info.allergies',
+            'attendance.status as attendance',
+            'attendance.picked_up_by',
+            'attendance.marked_by',
+            'attendance.marked_at',
+            'attendance.absence_notified_at'
+        )
+        .where('registrations.Sessionid', sessionId)
+        .where('registrations.status', 'approved')
+        .whereNull('registrations.deleted_at')
+        .orderBy(['registrations.last_name', 'registrations.first_name']);
+}
+
+// GET: Attendance sheet for one session day (today while the session is running), with each child's totals so far
+app.get('/admin/attendance/:sessionId', allowSessionAccess, async (req, res) => {
+    const sessionId = req.params.sessionId;
+
+    try {
+        const session = await db('Sessions').where('Sessionid', sessionId).whereNull('deleted_at').first();
+        if (!session) return res.send("Session not found");
+
+        const days = sessionDays(session);
+        const today = formatDateKey(new Date());
+        let day = days.includes(req.query.date) ? req.query.date : null;
+        if (!day) day = days.includes(today) ? today : (days.length > 0 && today > days[days.length - 1] ? days[days.length - 1] : days[0]);
+
+        const campers = day ? await getAttendanceSheet(sessionId, day) : [];
+
+        // Totals for each child over every day marked so far
+        const totals = {};
+        if (campers.length > 0) {
+            const rows = await db('attendance')
+                .select('reg_id', 'status')
+                .count('* as count')
+                .whereIn('reg_id', campers.map(c => c.reg_id))
+                .groupBy('reg_id', 'status');
+            rows.forEach(r => {
+                totals[r.reg_id] = totals[r.reg_id] || { present: 0, late: 0, absent: 0 };
+                totals[r.reg_id][r.status] = parseInt(r.count);
+            });
+        }
+
+        res.render('admin_attendance', {
+            session,
+            sessionStr: formatSessionStr(session),
+            days,
+            day,
+            today,
+            campers,
+            totals,
+            statuses: ATTENDANCE_STATUSES,
+            success_message: req.query.success || '',
+            error_message: req.query.error || ''
+        });
+    } catch (err) {
+        console.error("Attendance Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// POST: Save the marks for one day; optionally email the parents of children newly marked absent
+app.post('/admin/attendance/:sessionId', allowRoles('owner', 'staff'), allowSessionAccess, async (req, res) => {
+    const sessionId = req.params.sessionId;
+    const day = String(req.body.date || '');
+    const back = (message, type = 'success') => res.redirect(`/admin/attendance/${sessionId}?date=${encodeURIComponent(day)}&${type}=` + encodeURIComponent(message));
+
+    try {
+        const session = await db('Sessions').where('Sessionid', sessionId).whereNull('deleted_at').first();
+        if (!session) return res.send("Session not found");
+        if (!sessionDays(session).includes(day)) return back('That day is not one of this session\'s days.', 'error');
+        if (day > formatDateKey(new Date())) return back('Attendance can only be taken on or after the day itself.', 'error');
+
+        const marks = req.body.attendance || {};
+        const campers = await getAttendanceSheet(sessionId, day);
+        const notify = req.body.notify_absent === 'true';
+        const username = req.session.user.username;
+        let saved = 0;
+        let notified = 0;
+
+        await db.transaction(async (trx) => {
+            for (const camper of campers) {
+                const mark = marks[camper.reg_id] || {};
+                const status = ATTENDANCE_STATUSES.includes(mark.status) ? mark.status : null;
+                // Only children who were there can have been picked up
+                const pickedUpBy = status && status !== 'absent' ? String(mark.picked_up_by || '').trim().slice(0, 100) || null : null;
+
+                const before = { date: day, status: camper.attendance || null, picked_up_by: camper.picked_up_by || null };
+                const after = { date: day, status, picked_up_by: pickedUpBy };
+                if (before.status === after.status && before.picked_up_by === after.picked_up_by) continue;
+
+                if (!status) {
+                    await trx('attendance').where({ reg_id: camper.reg_id, attendance_date: day }).del();
+                } else {
+                    await trx('attendance')
+                        .insert({ reg_id: camper.reg_id, attendance_date: day, status, picked_up_by: pickedUpBy, marked_by: username, marked_at: new Date() })
+                        .onConflict(['reg_id', 'attendance_date'])
+                        .merge(['status', 'picked_up_by', 'marked_by', 'marked_at']);
+                }
+                await recordAudit(trx, req, { action: 'attendance.mark', entityType: 'attendance', entityId: camper.reg_id, regId: camper.reg_id, sessionId: session.Sessionid, before, after });
+                saved++;
+            }
+
+            // Each absence is emailed at most once, even if the sheet is saved again
+            if (notify) {
+                const absent = await trx('attendance')
+                    .whereIn('reg_id', campers.map(c => c.reg_id))
+                    .where({ attendance_date: day, status: 'absent' })
+                    .whereNull('absence_notified_at')
+                    .pluck('reg_id');
+                for (const regId of absent) {
+                    await sendRegistrationEmail(trx, 'absence_notice', regId, { attendance_date: new Date(`${day}T00:00:00`).toLocaleDateString() });
+                    await trx('attendance').where({ reg_id: regId, attendance_date: day }).update({ absence_notified_at: new Date() });
+                    notified++;
+                }
+            }
+        });
+
+        let message = saved > 0 ? `Attendance saved (${saved} change${saved === 1 ? '' : 's'}).` : 'No changes to save.';
+        if (notified > 0) message += ` Emailed ${notified} parent${notified === 1 ? '' : 's'} about an absence.`;
+        back(message);
+    } catch (err) {
+        console.error("Attendance Save Error:", err);
+        back('Error saving attendance.', 'error');
+    }
+});
+
+// --- ADMIN PROJECT ROUTES (Project Catalog, Session Offerings & Camper Progress) ---
+const MAX_SUPPLY_LIST_LENGTH = 2000;
+
+// Helper function: Read and check the project form; returns { values, errors }
+async function readProjectForm(body, projectId = null) {
+    const values = {
+        name: String(body.name || '').trim(),
+        image: String(body.image || ''),
+        difficulty: body.difficulty,
+        supply_list: String(body.supply_list || '').trim(),
+        season: String(body.season || ''),
+        active: projectId ? body.active === 'true' : true
+    };
+
+    const errors = {};
+    if (!values.name) errors.name = 'Project name is required.';
+    else if (values.name.length > 100) errors.name = 'Please keep the name under 100 characters.';
+    else {
+        const taken = await db('projects').whereRaw('LOWER(name) = LOWER(?)', [values.name]).whereNot('projectid', projectId || 0).first();
+        if (taken) errors.name = 'There is already a project with that name.';
+    }
+    if (values.image && !listProjectImages().includes(values.image)) errors.image = 'Please choose a photo from the list.';
+    if (!PROJECT_DIFFICULTIES.includes(values.difficulty)) errors.difficulty = 'Please choose a difficulty.';
+    if (values.season && !SEASONS.includes(values.season)) errors.season = 'Please choose a season.';
+    if (values.supply_list.length > MAX_SUPPLY_LIST_LENGTH) errors.supply_list = `Please keep the supply list under ${MAX_SUPPLY_LIST_LENGTH} characters.`;
+
+    return { values: { ...values, image: values.image || null, season: values.season || null, supply_list: values.supply_list || null }, errors };
+}
+
+// Helper function: Everything the catalog page shows
+async function loadProjectsPage() {
+    const projects = await db('projects')
+        .select('projects.*')
+        .select(db.raw('(SELECT COUNT(*) FROM session_projects sp WHERE sp.projectid = projects.projectid) as session_count'))
+        .select(db.raw('(SELECT COUNT(*) FROM registration_projects rp WHERE rp.projectid = projects.projectid) as chosen_count'))
+        .orderBy([{ column: 'active', order: 'desc' }, { column: 'name', order: 'asc' }]);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const sessions = await attachSessionProjects(await db('Sessions')
+        .select('Sessionid', 'Sessionname', 'season', 'startdate', 'enddate')
+        .whereNull('deleted_at')
+        .where('enddate', '>=', today)
+        .orderBy('startdate', 'asc'));
+
+    return { projects, sessions, images: listProjectImages(), difficulties: PROJECT_DIFFICULTIES, seasons: SEASONS };
+}
+
+// GET: Project catalog, with the upcoming sessions and the projects each offers
+app.get('/admin/projects', ownerOrReadonly, async (req, res) => {
+    try {
+        const page = await loadProjectsPage();
+        res.render('admin_projects', { ...page, errors: {}, values: {}, editingId: null, success_message: req.query.success || '', error_message: req.query.error || '' });
+    } catch (err) {
+        console.error("Projects Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// POST: Add a project to the catalog
+app.post('/admin/projects', ownerOnly, async (req, res) => {
+    try {
+        const { values, errors } = await readProjectForm(req.body);
+        if (hasErrors(errors)) {
+            const page = await loadProjectsPage();
+            return res.render('admin_projects', { ...page, errors, values: req.body, editingId: 'new', success_message: '', error_message: '' });
+        }
+
+        await db.transaction(async (trx) => {
+            const [row] = await trx('projects').insert(values).returning('projectid');
+            const projectId = row?.projectid || row;
+            await recordAudit(trx, req, { action: 'project.create', entityType: 'project', entityId: projectId, after: values });
+        });
+        res.redirect('/admin/projects?success=' + encodeURIComponent(`${values.name} added to the catalog.`));
+    } catch (err) {
+        console.error("Project Create Error:", err);
+        res.redirect('/admin/projects?error=' + encodeURIComponent('Error adding project.'));
+    }
+});
+
+// POST: Edit a project; retiring one (unticking active) hides it from new registrations but keeps children's progress
+app.post('/admin/projects/:id', ownerOnly, async (req, res) => {
+    try {
+        const project = await db('projects').where('projectid', parseInt(req.params.id) || 0).first();
+        if (!project) return res.redirect('/admin/projects?error=' + encodeURIComponent('Project not found.'));
+
+        const { values, errors } = await readProjectForm(req.body, project.projectid);
+        if (hasErrors(errors)) {
+            const page = await loadProjectsPage();
+            return res.render('admin_projects', { ...page, errors, values: req.body, editingId: project.projectid, success_message: '', error_message: '' });
+        }
+
+        await db.transaction(async (trx) => {
+            await trx('projects').where('projectid', project.projectid).update(values);
+            const { projectid, created_at, ...before } = project;
+            await recordAudit(trx, req, { action: 'project.edit', entityType: 'project', entityId: project.projectid, before, after: values });
+        });
+        res.redirect('/admin/projects?success=' + encodeURIComponent(`${values.name} saved.`));
+    } catch (err) {
+        console.error("Project Edit Error:", err);
+        res.redirect('/admin/projects?error=' + encodeURIComponent('Error saving project.'));
+    }
+});
+
+// GET: A session's projects - what it offers, each camper's choices and how far along they are
+app.get('/admin/projects/session/:sessionId', allowSessionAccess, async (req, res) => {
+    try {
+        const session = await db('Sessions').where('Sessionid', req.params.sessionId).whereNull('deleted_at').first();
+        if (!session) return res.send("Session not found");
+        await attachSessionProjects([session]);
+
+        // Projects from other seasons are left out of the offer list unless the session already offers them
+        const catalog = await db('projects')
+            .where('active', true)
+            .where(q => q.whereNull('season').orWhere('season', session.season))
+            .orderBy('name', 'asc');
+        session.projects.forEach(p => {
+            if (!catalog.some(c => c.projectid === p.projectid)) catalog.push(p);
+        });
+
+        const campers = await db('registrations')
+            .select('id as reg_id', 'first_name', 'last_name', 'status')
+            .where('Sessionid', session.Sessionid)
+            .whereNull('deleted_at')
+            .whereNotIn('status', NON_SEAT_STATUSES)
+            .orderBy(['last_name', 'first_name']);
+        const choices = campers.length > 0
+            ? await db('registration_projects')
+                .join('projects', 'registration_projects.projectid', 'projects.projectid')
+                .select('registration_projects.*', 'projects.name', 'projects.image')
+                .whereIn('registration_projects.reg_id', campers.map(c => c.reg_id))
+                .orderBy('projects.name', 'asc')
+            : [];
+        campers.forEach(c => { c.projects = choices.filter(p => p.reg_id === c.reg_id); });
+
+        res.render('admin_session_projects', {
+            session,
+            sessionStr: formatSessionStr(session),
+            catalog,
+            campers,
+            statuses: PROJECT_STATUSES,
+            statusLabels: PROJECT_STATUS_LABELS,
+            maxProjects: MAX_PROJECTS_PER_CHILD,
+            success_message: req.query.success || '',
+            error_message: req.query.error || ''
+        });
+    } catch (err) {
+        console.error("Session Projects Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// POST: Choose which projects a session offers on the registration form
+app.post('/admin/projects/session/:sessionId/offer', ownerOnly, async (req, res) => {
+    const back = `/admin/projects/session/${req.params.sessionId}`;
+    try {
+        const session = await db('Sessions').where('Sessionid', req.params.sessionId).whereNull('deleted_at').first();
+        if (!session) return res.send("Session not found");
+
+        const requested = [...new Set([].concat(req.body.projects || []).map(id => parseInt(id)).filter(id => id))];
+        const offered = requested.length > 0 ? await db('projects').whereIn('projectid', requested).orderBy('name', 'asc') : [];
+        const before = await db('session_projects')
+            .join('projects', 'session_projects.projectid', 'projects.projectid')
+            .where('session_projects.sessionid', session.Sessionid)
+            .orderBy('projects.name', 'asc')
+            .pluck('projects.name');
+
+        await db.transaction(async (trx) => {
+            await trx('session_projects').where('sessionid', session.Sessionid).del();
+            if (offered.length > 0) await trx('session_projects').insert(offered.map(p => ({ sessionid: session.Sessionid, projectid: p.projectid })));
+            await recordAudit(trx, req, { action: 'session.projects', entityType: 'session', entityId: session.Sessionid, sessionId: session.Sessionid, before: { projects: before }, after: { projects: offered.map(p => p.name) } });
+        });
+        res.redirect(back + '?success=' + encodeURIComponent(`${session.Sessionname} now offers ${offered.length} project${offered.length === 1 ? '' : 's'}.`));
+    } catch (err) {
+        console.error("Session Projects Save Error:", err);
+        res.redirect(back + '?error=' + encodeURIComponent('Error saving the session\'s projects.'));
+    }
+});
+
+// POST: Instructors update each camper's progress, add a project or remove one
+// Fields: progress[regId][projectId] = chosen | in_progress | completed | remove, and add[regId] = projectId
+app.post('/admin/projects/session/:sessionId/progress', allowRoles('owner', 'staff'), allowSessionAccess, async (req, res) => {
+    const back = `/admin/projects/session/${req.params.sessionId}`;
+    try {
+        const session = await db('Sessions').where('Sessionid', req.params.sessionId).whereNull('deleted_at').first();
+        if (!session) return res.send("Session not found");
+        await attachSessionProjects([session]);
+
+        const campers = await db('registrations')
+            .select('id as reg_id', 'first_name', 'last_name')
+            .where('Sessionid', session.Sessionid)
+            .whereNull('deleted_at')
+            .whereNotIn('status', NON_SEAT_STATUSES);
+        const progress = req.body.progress || {};
+        const additions = req.body.add || {};
+        const username = req.session.user.username;
+        let changed = 0;
+
+        await db.transaction(async (trx) => {
+            for (const camper of campers) {
+                const current = await trx('registration_projects').where('reg_id', camper.reg_id);
+                const updates = progress[camper.reg_id] || {};
+
+                for (const row of current) {
+                    const status = updates[row.projectid];
+                    if (!status || status === row.status) continue;
+                    if (status === 'remove') {
+                        await trx('registration_projects').where({ reg_id: camper.reg_id, projectid: row.projectid }).del();
+                    } else if (PROJECT_STATUSES.includes(status)) {
+                        await trx('registration_projects')
+                            .where({ reg_id: camper.reg_id, projectid: row.projectid })
+                            .update({ status, completed_at: status === 'completed' ? new Date() : null, updated_by: username, updated_at: new Date() });
+                    } else {
+                        continue;
+                    }
+                    await recordAudit(trx, req, { action: 'project.progress', entityType: 'project', entityId: row.projectid, regId: camper.reg_id, sessionId: session.Sessionid, before: { projectid: row.projectid, status: row.status }, after: { projectid: row.projectid, status } });
+                    changed++;
+                }
+
+                // Only projects the session offers can be added, up to the usual limit
+                const addId = parseInt(additions[camper.reg_id]);
+                const remaining = current.filter(r => updates[r.projectid] !== 'remove');
+                if (addId && !remaining.some(r => r.projectid === addId) && remaining.length < MAX_PROJECTS_PER_CHILD && offeredProjectIds(session, [addId]).length > 0) {
+                    await trx('registration_projects').insert({ reg_id: camper.reg_id, projectid: addId, status: 'chosen', updated_by: username, updated_at: new Date() });
+                    await recordAudit(trx, req, { action: 'project.add', entityType: 'project', entityId: addId, regId: camper.reg_id, sessionId: session.Sessionid, after: { projectid: addId, status: 'chosen' } });
+                    changed++;
+                }
+            }
+        });
+        res.redirect(back + '?success=' + encodeURIComponent(changed > 0 ? `Progress saved (${changed} change${changed === 1 ? '' : 's'}).` : 'No changes to save.'));
+    } catch (err) {
+        console.error("Project Progress Save Error:", err);
+        res.redirect(back + '?error=' + encodeURIComponent('Error saving progress.'));
+    }
+});
+
+// --- ADMIN EXPORT ROUTES (CSV & Excel Downloads) ---
+// Each export is a list of columns ({ header, value(row) }) applied to the same rows the matching page shows.
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Helper function: Format a date column as YYYY-MM-DD (blank when missing)
+function formatExportDate(value) {
+    if (!value) return '';
+    const d = new Date(value);
+    if (isNaN(d)) return '';
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Columns for the dashboard export - everything the /admin search joins together
+const REGISTRATION_EXPORT_COLUMNS = [
+    { header: 'Registration ID', value: r => r.reg_id },
+    { header: 'Status', value: r => r.status },
+    { header: 'Child First Name', value: r => r.first_name },
+    { header: 'Child Last Name', value: r => r.last_name },
+    { header: 'Birthdate', value: r => formatExportDate(r.birthdate) },
+    { header: 'Age', value: r => r.childage },
+    { header: 'Parent First Name', value: r => r.parentfirstname },
+    { header: 'Parent Last Name', value: r => r.parentlastname },
+    { header: 'Email', value: r => r.email },
+    { header: 'Phone', value: r => r.phone },
+    { header: 'Street Address', value: r => r.streetaddress },
+    { header: 'City', value: r => r.city },
+    { header: 'State', value: r => r.state },
+    { header: 'Zip Code', value: r => r.zipcode },
+    { header: 'Season', value: r => r.season },
+    { header: 'Session', value: r => r.Sessionname },
+    { header: 'Session Start', value: r => formatExportDate(r.session_start) },
+    { header: 'Session End', value: r => formatExportDate(r.session_end) },
+    { header: 'Start Time', value: r => r.session_stime },
+    { header: 'End Time', value: r => r.session_etime },
+    { header: 'Amount Due', value: r => r.amount_due },
+    { header: 'Paid', value: r => r.total_paid },
+    { header: 'Balance', value: r => r.balance_due },
+    { header: 'Price Note', value: r => r.price_note },
+    { header: 'Waiver', value: r => r.waiver },
+    { header: 'Projects and Requests', value: r => r.special_requests },
+    { header: 'Notes', value: r => r.notes },
+    { header: 'Registered', value: r => formatExportDate(r.created_at) }
+];
+
+// Columns for a session roster export (includes medical details - staff only)
+const ROSTER_EXPORT_COLUMNS = [
+    { header: 'Child First Name', value: r => r.first_name },
+    { header: 'Child Last Name', value: r => r.last_name },
+    { header: 'Age', value: r => r.childage },
+    { header: 'Birthdate', value: r => formatExportDate(r.birthdate) },
+    { header: 'Status', value: r => r.status },
+    { header: 'Parent Name', value: r => `${r.parentfirstname || ''} ${r.parentlastname || ''}`.trim() },
+    { header: 'Parent Phone', value: r => r.phone },
+    { header: 'Parent Email', value: r => r.email },
+    { header: 'Allergies', value: r => r.allergies },
+    { header: 'Medications', value: r => r.medications },
+    { header: 'Medical Conditions', value: r => r.medical_conditions },
+    { header: 'Emergency Contact', value: r => r.emergency_name },
+    { header: 'Emergency Relation', value: r => r.emergency_relation },
+    { header: 'Emergency Phone', value: r => r.emergency_phone }
+];
+
+// Helper function: Turn a cell value into a CSV field
+// Text starting with = + - @ is prefixed with ' so spreadsheets don't run it as a formula
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper function: Send rows as a CSV or Excel download
+async function sendExport(res, format, filename, sheetName, columns, rows) {
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet(sheetName);
+        sheet.columns = columns.map(c => ({ header: c.header, width: Math.max(c.header.length + 2, 14) }));
+        sheet.getRow(1).font = { bold: true };
+        rows.forEach(r => sheet.addRow(columns.map(c => {
+            const value = c.value(r);
+            return value === null || value === undefined ? '' : value;
+        })));
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+        await workbook.xlsx.write(res);
+        return res.end();
+    }
+
+    // CSV with a byte order mark so Excel opens it as UTF-8
+    const lines = [columns.map(c => csvField(c.header)).join(',')];
+    rows.forEach(r => lines.push(columns.map(c => csvField(c.value(r))).join(',')));
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send('\uFEFF' + lines.join('\r\n'));
+}
+
+// Helper function: Safe file name piece from a session name
+function exportSlug(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+}
+
+// GET: Export the dashboard's current search results (?search= works the same as on /admin)
+app.get('/admin/export/:format', ownerOrReadonly, async (req, res) => {
+    const format = req.params.format;
+    if (!EXPORT_FORMATS.includes(format)) return res.status(404).send("Unknown export format");
+
+    try {
+        const registrations = addPaymentStatus(await buildRegistrationSearch(req.query.search || ''));
+        const stamp = formatExportDate(new Date());
+        await sendExport(res, format, `registrations-${stamp}`, 'Registrations', REGISTRATION_EXPORT_COLUMNS, registrations);
+    } catch (err) {
+        console.error("Export Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// GET: Export a session roster
+app.get('/admin/roster/:sessionId/export/:format', allowSessionAccess, async (req, res) => {
+    const { sessionId, format } = req.params;
+    if (!EXPORT_FORMATS.includes(format)) return res.status(404).send("Unknown export format");
+
+    try {
+        const session = await db('Sessions').where('Sessionid', sessionId).whereNull('deleted_at').first();
+        if (!session) return res.send("Session not found");
+
+        const campers = await getSessionRoster(sessionId);
+        const filename = `roster-${exportSlug(session.Sessionname)}-${formatExportDate(session.startdate)}`;
+        await sendExport(res, format, filename, 'Roster', ROSTER_EXPORT_COLUMNS, campers);
+    } catch (err) {
+        console.error("Roster Export Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// --- ADMIN REPORT ROUTES (Enrollment, Revenue & Season Trends) ---
+// Every report covers the registrations for sessions starting in the chosen date range (and season),
+// so the numbers on the page, the printout and each export always agree.
+const REPORT_STATUSES = ['pending', 'approved', 'waitlisted', 'rejected', 'released', 'cancelled'];
+const REPORT_TOP_PLACES = 25;
+
+// Helper function: Read the report filters from the query string (bad dates are ignored)
+function readReportFilters(query) {
+    const filters = {
+        from: parseDate(query.from) ? String(query.from).trim() : '',
+        to: parseDate(query.to) ? String(query.to).trim() : '',
+        season: SEASONS.includes(query.season) ? query.season : ''
+    };
+    const error = filters.from && filters.to && filters.from > filters.to ? 'The "from" date is after the "to" date, so nothing matches.' : '';
+    return { filters, error };
+}
+
+// Helper function: The filters as a query string, for the export links
+function reportQueryString(filters) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => { if (value) params.set(key, value); });
+    const text = params.toString();
+    return text ? `?${text}` : '';
+}
+
+// Helper function: Limit a query on Sessions to the report's date range and season
+function applyReportFilters(query, filters) {
+    if (filters.from) query.where('Sessions.startdate', '>=', parseDate(filters.from));
+    if (filters.to) query.where('Sessions.startdate', '<=', parseDate(filters.to));
+    if (filters.season) query.where('Sessions.season', filters.season);
+    return query;
+}
+
+// Helper function: A share of a total as a whole percentage (null when there is nothing to divide by)
+function percentOf(count, total) {
+    return total > 0 ? Math.round(count * 100 / total) : null;
+}
+
+// Helper function: Add a registration's money to a running total
+function addMoney(totals, r) {
+    totals.amount_due += r.amount_due;
+    totals.total_paid += r.total_paid;
+    totals.balance_due += r.balance_due;
+}
+
+// Helper function: The family a registration belongs to - older registrations each made their own
+// parent_info row, so the parent's email is what ties a family together across seasons
+function familyKey(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// Helper function: Build every report for the filters
+async function buildReports(filters) {
+    const sessions = await applyReportFilters(getSessionsWithCounts(), filters);
+    const registrations = addPaymentStatus(await applyReportFilters(buildRegistrationSearch(''), filters));
+    const seated = registrations.filter(r => !NON_SEAT_STATUSES.includes(r.status));
+
+    // FILL RATE: seats taken in each session, and the waitlist behind it
+    const bySession = new Map(sessions.map(s => [s.Sessionid, {
+        Sessionid: s.Sessionid,
+        Sessionname: s.Sessionname,
+        season: s.season,
+        startdate: s.startdate,
+        numseats: s.numseats,
+        enrolled: parseInt(s.enrolled_count) || 0,
+        waitlisted: 0,
+        amount_due: 0,
+        total_paid: 0,
+        balance_due: 0
+    }]));
+    registrations.forEach(r => {
+        const row = bySession.get(r.Sessionid);
+        if (!row) return;
+        if (r.status === 'waitlisted') row.waitlisted++;
+        addMoney(row, r);
+    });
+    const sessionRows = [...bySession.values()];
+    sessionRows.forEach(s => { s.fill_rate = s.numseats ? percentOf(s.enrolled, s.numseats) : null; });
+
+    // SEASON TRENDS: the same numbers rolled up per season and year, oldest first
+    const bySeason = new Map();
+    sessionRows.forEach(s => {
+        const label = `${s.season || 'No season'} ${new Date(s.startdate).getFullYear()}`;
+        if (!bySeason.has(label)) bySeason.set(label, { label, firstStart: new Date(s.startdate), sessions: 0, seats: 0, limitedEnrolled: 0, enrolled: 0, waitlisted: 0, amount_due: 0, total_paid: 0, balance_due: 0 });
+        const row = bySeason.get(label);
+        row.sessions++;
+        row.enrolled += s.enrolled;
+        row.waitlisted += s.waitlisted;
+        if (s.numseats) {
+            row.seats += s.numseats;
+            row.limitedEnrolled += s.enrolled;
+        }
+        addMoney(row, s);
+        if (new Date(s.startdate) < row.firstStart) row.firstStart = new Date(s.startdate);
+    });
+    const seasonRows = [...bySeason.values()].sort((a, b) => a.firstStart - b.firstStart);
+    seasonRows.forEach(s => { s.fill_rate = percentOf(s.limitedEnrolled, s.seats); });
+
+    // FUNNEL: where every registration ended up
+    const funnel = REPORT_STATUSES.map(status => {
+        const count = registrations.filter(r => r.status === status).length;
+        return { status, count, percent: percentOf(count, registrations.length) };
+    });
+    const decided = registrations.filter(r => r.status === 'approved' || r.status === 'rejected').length;
+    const approvalRate = percentOf(registrations.filter(r => r.status === 'approved').length, decided);
+
+    // REVENUE: what is owed, what has been paid (net of refunds - money kept from a cancellation still counts)
+    // and what is outstanding; only seated registrations owe anything
+    const revenue = { amount_due: 0, total_paid: 0, balance_due: 0 };
+    registrations.forEach(r => addMoney(revenue, r));
+    const balances = seated.filter(r => r.balance_due > 0).sort((a, b) => b.balance_due - a.balance_due);
+
+    // Payments recorded in the date range, by method (refunds are the negative payments)
+    const paymentsQuery = db('payments')
+        .join('registrations', 'payments.reg_id', 'registrations.id')
+        .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+        .select(
+            'payments.method',
+            db.raw('SUM(CASE WHEN payments.amount > 0 THEN payments.amount ELSE 0 END) as received'),
+            db.raw('SUM(CASE WHEN payments.amount < 0 THEN -payments.amount ELSE 0 END) as refunded'),
+            db.raw('COUNT(payments.paymentid) as count')
+        )
+        .whereNull('registrations.deleted_at')
+        .groupBy('payments.method')
+        .orderBy('payments.method', 'asc');
+    if (filters.from) paymentsQuery.where('payments.paid_on', '>=', parseDate(filters.from));
+    if (filters.to) paymentsQuery.where('payments.paid_on', '<', new Date(parseDate(filters.to).getTime() + DAY_MS));
+    if (filters.season) paymentsQuery.where('Sessions.season', filters.season);
+    const paymentRows = (await paymentsQuery).map(p => ({
+        method: p.method,
+        count: parseInt(p.count) || 0,
+        received: parseFloat(p.received || 0),
+        refunded: parseFloat(p.refunded || 0),
+        net: parseFloat(p.received || 0) - parseFloat(p.refunded || 0)
+    }));
+
+    // FAMILIES: new, or back after attending an earlier session (approved for a session that started before
+    // the family's first session in the range)
+    const families = new Map();
+    seated.forEach(r => {
+        const key = familyKey(r.email);
+        if (!key) return;
+        const start = new Date(r.session_start || r.created_at);
+        const family = families.get(key);
+        if (!family) families.set(key, { firstStart: start, children: 1 });
+        else {
+            family.children++;
+            if (start < family.firstStart) family.firstStart = start;
+        }
+    });
+    const history = families.size > 0
+        ? await db('registrations')
+            .join('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+            .select(db.raw('LOWER(TRIM(registrations.email)) as family'))
+            .min('Sessions.startdate as first_start')
+            .where('registrations.status', 'approved')
+            .whereNull('registrations.deleted_at')
+            .groupByRaw('LOWER(TRIM(registrations.email))')
+        : [];
+    const firstAttended = new Map(history.map(h => [h.family, new Date(h.first_start)]));
+    const familyRows = { returning: { families: 0, children: 0 }, new: { families: 0, children: 0 } };
+    families.forEach((family, key) => {
+        const first = firstAttended.get(key);
+        const row = first && first < family.firstStart ? familyRows.returning : familyRows.new;
+        row.families++;
+        row.children += family.children;
+    });
+
+    // AGES: each seated camper's age (as given, or worked out from the birthdate at the session start)
+    const byAge = new Map();
+    seated.forEach(r => {
+        let age = r.childage !== null && r.childage !== undefined && r.childage !== '' ? parseInt(r.childage) : null;
+        if (age === null && r.birthdate) age = ageFromBirthdate(new Date(r.birthdate), new Date(r.session_start || r.created_at));
+        const label = Number.isInteger(age) ? String(age) : 'Unknown';
+        byAge.set(label, (byAge.get(label) || 0) + 1);
+    });
+    const ageRows = [...byAge.entries()]
+        .map(([age, count]) => ({ age, count, percent: percentOf(count, seated.length) }))
+        .sort((a, b) => (a.age === 'Unknown') - (b.age === 'Unknown') || parseInt(a.age) - parseInt(b.age));
+
+    // GEOGRAPHY: seated campers by city and by zip code, most first
+    const countBy = (keyOf, labelOf) => {
+        const counts = new Map();
+        seated.forEach(r => {
+            const key = keyOf(r);
+            if (!counts.has(key)) counts.set(key, { place: labelOf(r), count: 0 });
+            counts.get(key).count++;
+        });
+        return [...counts.values()]
+            .map(c => ({ ...c, percent: percentOf(c.count, seated.length) }))
+            .sort((a, b) => b.count - a.count || a.place.localeCompare(b.place));
+    };
+    const cityRows = countBy(
+        r => `${String(r.city || '').trim().toLowerCase()}|${String(r.state || '').trim().toLowerCase()}`,
+        r => r.city && r.city.trim() ? `${r.city.trim()}${r.state ? `, ${r.state.trim()}` : ''}` : 'Unknown'
+    );
+    const zipRows = countBy(
+        r => String(r.zipcode || '').trim().slice(0, 5),
+        r => String(r.zipcode || '').trim().slice(0, 5) || 'Unknown'
+    );
+
+    return {
+        totals: { registrations: registrations.length, seated: seated.length, sessions: sessionRows.length, families: families.size },
+        sessionRows,
+        seasonRows,
+        funnel,
+        approvalRate,
+        revenue,
+        balances,
+        paymentRows,
+        familyRows,
+        ageRows,
+        cityRows,
+        zipRows
+    };
+}
+
+// Each report's export - the rows it comes from and its columns
+const REPORT_EXPORTS = {
+    sessions: {
+        title: 'Fill Rate by Session',
+        rows: data => data.sessionRows,
+        columns: [
+            { header: 'Session', value: r => r.Sessionname },
+            { header: 'Season', value: r => r.season },
+            { header: 'Start', value: r => formatExportDate(r.startdate) },
+            { header: 'Seats', value: r => r.numseats },
+            { header: 'Enrolled', value: r => r.enrolled },
+            { header: 'Fill Rate %', value: r => r.fill_rate },
+            { header: 'Waitlisted', value: r => r.waitlisted },
+            { header: 'Amount Due', value: r => r.amount_due.toFixed(2) },
+            { header: 'Paid', value: r => r.total_paid.toFixed(2) },
+            { header: 'Outstanding', value: r => r.balance_due.toFixed(2) }
+        ]
+    },
+    seasons: {
+        title: 'Season Trends',
+        rows: data => data.seasonRows,
+        columns: [
+            { header: 'Season', value: r => r.label },
+            { header: 'Sessions', value: r => r.sessions },
+            { header: 'Seats', value: r => r.seats },
+            { header: 'Enrolled', value: r => r.enrolled },
+            { header: 'Fill Rate %', value: r => r.fill_rate },
+            { header: 'Waitlisted', value: r => r.waitlisted },
+            { header: 'Amount Due', value: r => r.amount_due.toFixed(2) },
+            { header: 'Paid', value: r => r.total_paid.toFixed(2) },
+            { header: 'Outstanding', value: r => r.balance_due.toFixed(2) }
+        ]
+    },
+    funnel: {
+        title: 'Registration Funnel',
+        rows: data => data.funnel,
+        columns: [
+            { header: 'Status', value: r => r.status },
+            { header: 'Registrations', value: r => r.count },
+            { header: 'Share %', value: r => r.percent }
+        ]
+    },
+    balances: {
+        title: 'Outstanding Balances',
+        rows: data => data.balances,
+        columns: [
+            { header: 'Registration ID', value: r => r.reg_id },
+            { header: 'Child', value: r => `${r.first_name} ${r.last_name}` },
+            { header: 'Parent', value: r => `${r.parentfirstname || ''} ${r.parentlastname || ''}`.trim() },
+            { header: 'Email', value: r => r.email },
+            { header: 'Phone', value: r => r.phone },
+            { header: 'Session', value: r => r.Sessionname },
+            { header: 'Session Start', value: r => formatExportDate(r.session_start) },
+            { header: 'Status', value: r => r.status },
+            { header: 'Amount Due', value: r => r.amount_due.toFixed(2) },
+            { header: 'Paid', value: r => r.total_paid.toFixed(2) },
+            { header: 'Balance', value: r => r.balance_due.toFixed(2) }
+        ]
+    },
+    payments: {
+        title: 'Payments by Method',
+        rows: data => data.paymentRows,
+        columns: [
+            { header: 'Method', value: r => r.method },
+            { header: 'Payments', value: r => r.count },
+            { header: 'Received', value: r => r.received.toFixed(2) },
+            { header: 'Refunded', value: r => r.refunded.toFixed(2) },
+            { header: 'Net', value: r => r.net.toFixed(2) }
+        ]
+    },
+    families: {
+        title: 'Returning and New Families',
+        rows: data => [{ type: 'Returning', ...data.familyRows.returning }, { type: 'New', ...data.familyRows.new }],
+        columns: [
+            { header: 'Families', value: r => r.type },
+            { header: 'Count', value: r => r.families },
+            { header: 'Campers', value: r => r.children }
+        ]
+    },
+    ages: {
+        title: 'Camper Ages',
+        rows: data => data.ageRows,
+        columns: [
+            { header: 'Age', value: r => r.age },
+            { header: 'Campers', value: r => r.count },
+            { header: 'Share %', value: r => r.percent }
+        ]
+    },
+    cities: {
+        title: 'Campers by City',
+        rows: data => data.cityRows,
+        columns: [
+            { header: 'City', value: r => r.place },
+            { header: 'Campers', value: r => r.count },
+            { header: 'Share %', value: r => r.percent }
+        ]
+    },
+    zipcodes: {
+        title: 'Campers by Zip Code',
+        rows: data => data.zipRows,
+        columns: [
+            { header: 'Zip Code', value: r => r.place },
+            { header: 'Campers', value: r => r.count },
+            { header: 'Share %', value: r => r.percent }
+        ]
+    }
+};
+
+// GET: The reports page (print it from the browser for a paper copy)
+app.get('/admin/reports', ownerOrReadonly, async (req, res) => {
+    const { filters, error } = readReportFilters(req.query);
+    try {
+        const reports = await buildReports(filters);
+        res.render('admin_reports', {
+            ...reports,
+            filters,
+            queryString: reportQueryString(filters),
+            seasons: SEASONS,
+            topPlaces: REPORT_TOP_PLACES,
+            error_message: error
+        });
+    } catch (err) {
+        console.error("Reports Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// GET: Export one report with the same filters as the page
+app.get('/admin/reports/export/:report/:format', ownerOrReadonly, async (req, res) => {
+    const { report, format } = req.params;
+    const definition = REPORT_EXPORTS[report];
+    if (!definition || !EXPORT_FORMATS.includes(format)) return res.status(404).send("Unknown report export");
+
+    try {
+        const { filters } = readReportFilters(req.query);
+        const data = await buildReports(filters);
+        const range = [filters.season, filters.from, filters.to].filter(Boolean).join('-');
+        const filename = `report-${report}${range ? `-${exportSlug(range)}` : ''}-${formatExportDate(new Date())}`;
+        await sendExport(res, format, filename, definition.title, definition.columns, definition.rows(data));
+    } catch (err) {
+        console.error("Report Export Error:", err);
+        res.redirect('/admin/reports');
+    }
+});
+
+// --- ADMIN WAIVER ROUTES (Versioned Waiver & Signed Copies) ---
+
+// Helper function: Every waiver version, newest first, with how many registrations signed it
+function getWaiverVersions() {
+    return db('waiver_versions')
+        .leftJoin('waiver_signatures', 'waiver_versions.versionid', 'waiver_signatures.versionid')
+        .select('waiver_versions.*')
+        .count('waiver_signatures.signatureid as signed_count')
+        .groupBy('waiver_versions.versionid')
+        .orderBy('waiver_versions.version_number', 'desc');
+}
+
+// GET: List waiver versions plus the form to publish a new one
+app.get('/admin/waivers', ownerOrReadonly, async (req, res) => {
+    try {
+        const versions = await getWaiverVersions();
+
+        res.render('admin_waivers', {
+            versions,
+            errors: {},
+            values: {},
+            success_message: req.query.published ? `Waiver version ${req.query.published} published. New registrations will sign this version.` : ''
+        });
+    } catch (err) {
+        console.error("Waiver Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// POST: Publish a new waiver version (earlier versions stay as they were for the signatures that use them)
+app.post('/admin/waivers', ownerOnly, async (req, res) => {
+    const { title, body } = req.body;
+
+    try {
+        const errors = {};
+        if (isBlank(title)) errors.title = 'Title is required.';
+        if (isBlank(body)) errors.body = 'Waiver text is required.';
+        if (hasErrors(errors)) {
+            const versions = await getWaiverVersions();
+            return res.render('admin_waivers', { versions, errors, values: req.body, success_message: '' });
+        }
+
+        const versionNumber = await db.transaction(async (trx) => {
+            const latest = await trx('waiver_versions').max('version_number as max').first();
+            const next = (parseInt(latest.max) || 0) + 1;
+            const [versionRes] = await trx('waiver_versions').insert({
+                version_number: next,
+                title: title.trim(),
+                body: body,
+                published_by: req.session.user.username,
+                published_at: new Date()
+            }).returning('versionid');
+            const versionId = versionRes?.versionid || versionRes;
+            await recordAudit(trx, req, { action: 'waiver.publish', entityType: 'waiver', entityId: versionId, after: { version_number: next, title: title.trim() } });
+            return next;
+        });
+
+        res.redirect(`/admin/waivers?published=${versionNumber}`);
+    } catch (err) {
+        console.error("Waiver Publish Error:", err);
+        res.redirect('/admin/waivers');
+    }
+});
+
+// GET: Printable copy of the waiver signed for a registration
+app.get('/admin/waiver/:regId', ownerOrReadonly, async (req, res) => {
+    const regId = req.params.regId;
+
+    try {
+        const reg = await db('registrations')
+            .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+            .leftJoin('child_info', 'registrations.child_id', 'child_info.childid')
+            .leftJoin('parent_info', 'child_info.parentid', 'parent_info.parentid')
+            .select('registrations.*', 'Sessions.Sessionname', 'Sessions.startdate', 'Sessions.enddate', 'parent_info.parentfirstname', 'parent_info.parentlastname', 'parent_info.waiver')
+            .where('registrations.id', regId)
+            .first();
+        if (!reg) return res.send("Record not found");
+
+        const signature = await db('waiver_signatures')
+            .join('waiver_versions', 'waiver_signatures.versionid', 'waiver_versions.versionid')
+            .select('waiver_signatures.*', 'waiver_versions.version_number', 'waiver_versions.title', 'waiver_versions.body')
+            .where('waiver_signatures.reg_id', regId)
+            .orderBy('waiver_signatures.signed_at', 'desc')
+            .first();
+
+        res.render('admin_waiver_signed', { reg, signature });
+    } catch (err) {
+        console.error("Signed Waiver Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// --- ADMIN PAYMENT ROUTES (Payment Ledger) ---
+
+// GET: Display payment ledger and balance for a registration
+app.get('/admin/payments/:id', ownerOrReadonly, async (req, res) => {
+    const regId = req.params.id;
+
+    try {
+        const reg = await db('registrations')
+            .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+            .select('registrations.*', 'Sessions.Sessionname', 'Sessions.startdate', 'Sessions.enddate', 'Sessions.price', 'Sessions.earlybird_price', 'Sessions.earlybird_deadline')
+            .where('registrations.id', regId)
+            .first();
+        if (!reg) return res.send("Record not found");
+
+        const payments = await db('payments').where('reg_id', regId).orderBy('paid_on', 'asc');
+        const totalPaid = payments.reduce((sum, p) => sum + parseFloat(p.amount), 0);
+        const amountDue = registrationAmountDue(reg);
+
+        res.render('admin_payments', {
+            reg,
+            payments,
+            totalPaid,
+            amountDue,
+            balanceDue: Math.max(amountDue - totalPaid, 0),
+            overdue: isPaymentOverdue({ ...reg, total_paid: totalPaid }),
+            deadlineDays: PAYMENT_DEADLINE_DAYS,
+            methods: PAYMENT_METHODS,
+            success_message: req.query.success || '',
+            error_message: req.query.error || ''
+        });
+    } catch (err) {
+        console.error("Payment Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// POST: Record a payment against a registration
+app.post('/admin/payments/:id/add', ownerOnly, async (req, res) => {
+    const regId = /^\d+$/.test(req.params.id) ? parseInt(req.params.id) : null;
+    if (!regId) return res.redirect('/admin');
+    const { amount, method, paid_on, reference } = req.body;
+
+    // Basic checks so the ledger only holds usable amounts, known methods and real dates
+    const amountNum = Number(amount);
+    if (!(amountNum > 0) || !Number.isFinite(amountNum) || !PAYMENT_METHODS.includes(method)) {
+        return res.redirect(`/admin/payments/${regId}?error=` + encodeURIComponent('Enter a positive amount and choose a payment method.'));
+    }
+    const paidOn = isBlank(paid_on) ? new Date() : parseDate(paid_on);
+    if (!paidOn) {
+        return res.redirect(`/admin/payments/${regId}?error=` + encodeURIComponent('Enter the date paid as a valid date.'));
+    }
+
+    try {
+        const recorded = await db.transaction(async (trx) => {
+            const reg = await trx('registrations').where('id', regId).whereNull('deleted_at').first('Sessionid');
+            if (!reg) return false;
+
+            const payment = {
+                reg_id: regId,
+                amount: amountNum.toFixed(2),
+                method,
+                paid_on: paidOn,
+                reference: String(reference || '').trim().slice(0, 100) || null,
+                recorded_by: req.session.user.username
+            };
+            const [paymentRes] = await trx('payments').insert(payment).returning('paymentid');
+            await recordAudit(trx, req, { action: 'payment.add', entityType: 'payment', entityId: paymentRes?.paymentid || paymentRes, regId, sessionId: reg.Sessionid, after: payment });
+            return true;
+        });
+        if (!recorded) return res.redirect('/admin');
+        res.redirect(`/admin/payments/${regId}`);
+    } catch (err) {
+        console.error("Error recording payment:", err);
+        res.redirect(`/admin/payments/${regId}?error=` + encodeURIComponent('The payment could not be recorded. Please try again.'));
+    }
+});
+
+// POST: Email the parent a payment reminder for the balance still owed
+app.post('/admin/payments/:id/remind', ownerOnly, async (req, res) => {
+    const regId = req.params.id;
+
+    try {
+        const found = await registrationEmailValues(db, regId);
+        if (!found) return res.redirect('/admin');
+        if (found.balance <= 0) {
+            return res.redirect(`/admin/payments/${regId}?error=` + encodeURIComponent('Nothing is owed on this registration.'));
+        }
+
+        await sendTemplateEmail(db, 'payment_reminder', found.email, found.values, parseInt(regId));
+        res.redirect(`/admin/payments/${regId}?success=` + encodeURIComponent(`Payment reminder queued for ${found.email}.`));
+    } catch (err) {
+        console.error("Error sending payment reminder:", err);
+        res.redirect(`/admin/payments/${regId}?error=` + encodeURIComponent('Error sending payment reminder.'));
+    }
+});
+
+// POST: Remove a payment entered by mistake
+app.post('/admin/payments/delete/:paymentId', ownerOnly, async (req, res) => {
+    try {
+        const payment = await db('payments').where('paymentid', req.params.paymentId).first();
+        if (!payment) return res.redirect('/admin');
+        await db.transaction(async (trx) => {
+            await trx('payments').where('paymentid', payment.paymentid).del();
+            const reg = await trx('registrations').where('id', payment.reg_id).first('Sessionid');
+            await recordAudit(trx, req, { action: 'payment.delete', entityType: 'payment', entityId: payment.paymentid, regId: payment.reg_id, sessionId: reg ? reg.Sessionid : null, before: payment });
+        });
+        res.redirect(`/admin/payments/${payment.reg_id}`);
+    } catch (err) {
+        console.error("Error deleting payment:", err);
+        res.redirect('/admin');
+    }
+});
+
+// POST: Release every pending registration past the payment deadline now
+app.post('/admin/payments/release-overdue', ownerOnly, async (req, res) => {
+    try {
+        const released = await releaseOverdueRegistrations(req);
+        console.log(`Released ${released} overdue registration(s).`);
+        res.redirect('/admin');
+    } catch (err) {
+        console.error("Error releasing overdue registrations:", err);
+        res.redirect('/admin');
+    }
+});
+
+// --- ADMIN SCHEDULE ROUTES (Manage Camp Sessions) ---
+
+// A. GET: Display form to add new session
+app.get('/admin/schedule/add', ownerOnly, (req, res) => {
+    res.render('admin_schedule_add', { errors: {}, values: {}, error_message: req.query.error || '' });
+});
+
+// B. POST: Create new session in the database
+// Sessions define the camps available for registration
+app.post('/admin/schedule/add', ownerOnly, async (req, res) => {
+    const { Sessionname, Sessiondesc, startdate, enddate, starttime, endtime, numseats, season, price, earlybird_price, earlybird_deadline } = req.body;
+
+    const errors = validateSession(req.body);
+    if (hasErrors(errors)) return res.render('admin_schedule_add', { errors, values: req.body });
+
+    try {
+        // Insert new session record
+        await db.transaction(async (trx) => {
+            const [session] = await trx('Sessions').insert({
+                Sessionname,
+                Sessiondesc,
+                startdate,
+                enddate,
+                starttime,
+                endtime,
+                numseats: numseats ? parseInt(numseats) : null,
+                season: season || 'Summer',
+                price: price ? parseFloat(price) : null,
+                earlybird_price: earlybird_price ? parseFloat(earlybird_price) : null,
+                earlybird_deadline: earlybird_deadline || null
+            }).returning('*');
+            await recordAudit(trx, req, { action: 'session.create', entityType: 'session', entityId: session.Sessionid, sessionId: session.Sessionid, after: session });
+        });
+        res.redirect('/campschedule');
+    } catch (err) {
+        console.error("Error adding session:", err);
+        res.redirect('/admin/schedule/add?error=' + encodeURIComponent('The session could not be added. Please try again.'));
+    }
+});
+
+// C. GET: Display form to edit existing session
+// Fetches session details and pre-populates the form
+app.get('/admin/schedule/edit/:id', ownerOnly, async (req, res) => {
+    const sessionId = req.params.id;
+
+    try {
+        // Fetch the session record by ID
+        const session = await db('Sessions').where('Sessionid', sessionId).whereNull('deleted_at').first();
+        if (!session) return res.send("Session not found");
+        res.render('admin_schedule_edit', { session, errors: {}, error_message: req.query.error || '' });
+    } catch (err) {
+        console.error("Error fetching session for edit:", err);
+        res.redirect('/campschedule');
+    }
+});
+
+// D. POST: Update existing session
+// Modifies session details like name, dates, times, and capacity
+app.post('/admin/schedule/edit/:id', ownerOnly, async (req, res) => {
+    const sessionId = req.params.id;
+    const { Sessionname, Sessiondesc, startdate, enddate, starttime, endtime, numseats, season, price, earlybird_price, earlybird_deadline } = req.body;
+
+    const errors = validateSession(req.body);
+    if (hasErrors(errors)) {
+        // Re-show the form with what the admin typed
+        return res.render('admin_schedule_edit', { session: { ...req.body, Sessionid: sessionId }, errors });
+    }
+
+    try {
+        await db.transaction(async (trx) => {
+            // Update the session record with new information
+            const before = await trx('Sessions').where('Sessionid', sessionId).whereNull('deleted_at').first();
+            if (!before) return;
+            const [after] = await trx('Sessions').where('Sessionid', sessionId).update({
+                Sessionname,
+                Sessiondesc,
+                startdate,
+                enddate,
+                starttime,
+                endtime,
+                numseats: numseats ? parseInt(numseats) : null,
+                season: season || 'Summer',
+                price: price ? parseFloat(price) : null,
+                earlybird_price: earlybird_price ? parseFloat(earlybird_price) : null,
+                earlybird_deadline: earlybird_deadline || null
+            }).returning('*');
+            await recordAudit(trx, req, { action: 'session.edit', entityType: 'session', entityId: before.Sessionid, sessionId: before.Sessionid, before, after });
+
+            // A capacity increase may open seats for waitlisted children
+            await promoteFromWaitlist(trx, sessionId, req);
+        });
+        res.redirect('/campschedule');
+    } catch (err) {
+        console.error("Error updating session:", err);
+        res.redirect(`/admin/schedule/edit/${sessionId}?error=` + encodeURIComponent('The session could not be saved. Please try again.'));
+    }
+});
+
+// E. POST: Delete session - moves it to the trash
+// Children still in the session (seated or waitlisted) are either cancelled with an email to their
+// parents or moved to another session; the first request shows the choice when there are any
+app.post('/admin/schedule/delete/:id', ownerOnly, async (req, res) => {
+    const sessionId = req.params.id;
+    const { children_action, target_session } = req.body;
+
+    try {
+        const session = await db('Sessions').where('Sessionid', sessionId).whereNull('deleted_at').first();
+        if (!session) return res.redirect('/campschedule');
+
+        const children = await getSessionChildren(db, session.Sessionid);
+        // Children can only be moved to a session that has not ended yet
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const otherSessions = (await getSessionsWithCounts()).filter(s => s.Sessionid !== session.Sessionid && new Date(s.enddate) >= today);
+
+        // Ask what to do with the children first (and again if the answer was incomplete)
+        if (children.length > 0) {
+            const errors = {};
+            if (req.body.confirm && !['cancel', 'move'].includes(children_action)) errors.children_action = 'Please choose what happens to these children.';
+            if (children_action === 'move' && !otherSessions.some(s => String(s.Sessionid) === String(target_session))) errors.target_session = 'Please choose the session to move them to.';
+            if (!['cancel', 'move'].includes(children_action) || hasErrors(errors)) {
+                return res.render('admin_schedule_delete', { session, children, sessions: otherSessions, errors, values: req.body });
+            }
+        }
+
+        const emails = [];
+        await db.transaction(async (trx) => {
+            const target = children_action === 'move' ? await trx('Sessions').where('Sessionid', target_session).whereNull('deleted_at').first() : null;
+            if (children_action === 'move' && !target) throw new Error(`Session ${target_session} was removed before the children could be moved`);
+            for (const child of children) {
+                if (target) await moveRegistration(trx, req, child, session, target);
+                else emails.push(await cancelRegistration(trx, req, child, session));
+            }
+
+            const deletedAt = new Date();
+            await trx('Sessions').where('Sessionid', session.Sessionid).update({ deleted_at: deletedAt, deleted_by: req.session.user.username });
+            await recordAudit(trx, req, { action: 'session.delete', entityType: 'session', entityId: session.Sessionid, sessionId: session.Sessionid, before: { deleted_at: null }, after: { deleted_at: deletedAt, children: children.length, children_action: children_action || null } });
+        });
+
+        // Email to Parents of cancelled children - only once everything is saved
+        // (moved children's emails are queued in the transaction)
+        emails.forEach(e => sendEmail(e.to, e.subject, e.text, e.regId));
+        res.redirect('/campschedule');
+    } catch (err) {
+        console.error("Error deleting session:", err);
+        res.redirect('/campschedule?error=' + encodeURIComponent('The session could not be deleted. Please try again.'));
+    }
+});
+
+// Helper function: Children still in a session - seated first, then the waitlist in order
+function getSessionChildren(conn, sessionId) {
+    return conn('registrations')
+        .where('Sessionid', sessionId)
+        .whereNull('deleted_at')
+        .whereNotIn('status', NON_SEAT_STATUSES.filter(st => st !== 'waitlisted'))
+        .orderByRaw("CASE WHEN status = 'waitlisted' THEN 1 ELSE 0 END")
+        .orderBy('waitlist_position', 'asc')
+        .orderBy('created_at', 'asc');
+}
+
+// Helper function: Cancel a registration because its session was removed; returns the parent's email
+// The camp cancelled, so everything paid is refunded (the refund policy does not apply) and recorded in the ledger
+async function cancelRegistration(trx, req, reg, session) {
+    const paid = await trx('payments').where('reg_id', reg.id).sum('amount as total').first();
+    const totalPaid = Math.max(Math.round(parseFloat(paid.total || 0) * 100) / 100, 0);
+
+    const changes = { status: 'cancelled', waitlist_position: null, cancelled_at: new Date(), cancelled_by: req.session.user.username, cancel_reason: 'The session was cancelled.', refund_amount: totalPaid.toFixed(2) };
+    await trx('registrations').where('id', reg.id).update(changes);
+    await recordAudit(trx, req, { action: 'registration.cancel', entityType: 'registration', entityId: reg.id, regId: reg.id, sessionId: reg.Sessionid, before: { status: reg.status, waitlist_position: reg.waitlist_position }, after: changes });
+
+    // The refund goes back the way the parent last paid
+    if (totalPaid > 0) {
+        const last = await trx('payments').where('reg_id', reg.id).where('amount', '>', 0).orderBy('paid_on', 'desc').orderBy('paymentid', 'desc').first('method');
+        const payment = { reg_id: reg.id, amount: (-totalPaid).toFixed(2), method: last ? last.method : PAYMENT_METHODS[0], paid_on: new Date(), reference: 'Refund - session cancelled', recorded_by: req.session.user.username };
+        const [paymentRes] = await trx('payments').insert(payment).returning('paymentid');
+        await recordAudit(trx, req, { action: 'payment.refund', entityType: 'payment', entityId: paymentRes?.paymentid || paymentRes, regId: reg.id, sessionId: reg.Sessionid, after: payment });
+    }
+
+    const refund = totalPaid > 0 ? ` The $${totalPaid.toFixed(2)} you paid will be refunded.` : '';
+    return {
+        to: reg.email,
+        regId: reg.id,
+        subject: "Session Cancelled - Sewing Camp",
+        text: `Hello, we are sorry to let you know that ${formatSessionStr(session)} has been cancelled, so ${reg.first_name} ${reg.last_name}'s registration is cancelled.${refund} Please contact us with any questions, or register for another session.`
+    };
+}
+
+// Helper function: Move a registration out of a session being deleted, taking a seat in `target` or joining its waitlist when full
+// Recorded as a transfer, and the parent is emailed the new session (queued in this transaction)
+async function moveRegistration(trx, req, reg, session, target) {
+    // The old session's prices go along so the registration keeps the price it was agreed at
+    const moved = await transferRegistration(trx, req, { ...reg, price: session.price, earlybird_price: session.earlybird_price, earlybird_deadline: session.earlybird_deadline }, target, {
+        reason: 'The session was cancelled.',
+        allowWaitlist: true,
+        refillOldSession: false
+    });
+
+    const transferNote = moved.status === 'waitlisted'
+        ? `${formatSessionStr(session)} has been cancelled. The new session is currently full, so ${reg.first_name} is on its waitlist at position #${moved.waitlistPosition}. We will email you right away if a spot opens up.`
+        : `${formatSessionStr(session)} has been cancelled. Your spot in the new session is saved.`;
+    await sendRegistrationEmail(trx, 'registration_transferred', reg.id, { previous_session: formatSessionStr(session), transfer_note: transferNote });
+}
+
+// --- ADMIN SESSION GENERATOR ROUTES (Weekly Session Batches, Holidays & Season Cloning) ---
+// Both the generator and the season clone work like the CSV import: a preview lists every session
+// that would be created (flagging duplicates and holiday weeks), then creating re-plans from the same
+// form values and saves the ready sessions in one transaction.
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MAX_TIME_SLOTS = 4;
+const MAX_GENERATED_SESSIONS = 100;
+const HOLIDAY_SETTINGS = { session_holidays: '' };
+
+// The usual pattern: Monday-Friday, a morning and an afternoon class
+const GENERATOR_DEFAULTS = {
+    season: 'Summer',
+    name_prefix: 'Session',
+    first_number: '1',
+    start_day: '1',
+    end_day: '5',
+    slots: [{ start: '09:30', end: '11:30' }, { start: '13:00', end: '15:00' }],
+    numseats: '8',
+    Sessiondesc: 'Sewing Camp!'
+};
+
+// Helper function: A YYYY-MM-DD day moved by a number of days
+function addDays(dayKey, days) {
+    const d = new Date(`${dayKey}T00:00:00`);
+    d.setDate(d.getDate() + days);
+    return formatDateKey(d);
+}
+
+// Helper function: Read the holiday list, one "YYYY-MM-DD Name" per line
+// Returns the holidays in date order and the lines that could not be read
+function parseHolidays(text) {
+    const holidays = [];
+    const invalid = [];
+    String(text || '').split(/\r?\n/).map(line => line.trim()).filter(line => line).forEach(line => {
+        const m = line.match(/^(\d{4}-\d{2}-\d{2})\s*(.*)$/);
+        if (m && parseDate(m[1])) holidays.push({ date: m[1], name: m[2] || 'Holiday' });
+        else invalid.push(line);
+    });
+    holidays.sort((a, b) => a.date.localeCompare(b.date));
+    return { holidays, invalid };
+}
+
+// Helper function: The saved holidays
+async function getHolidays() {
+    const { session_holidays } = await getSettings(HOLIDAY_SETTINGS);
+    return parseHolidays(session_holidays).holidays;
+}
+
+// Helper function: The holidays falling between two YYYY-MM-DD days (inclusive)
+function holidaysBetween(holidays, start, end) {
+    return holidays.filter(h => h.date >= start && h.date <= end);
+}
+
+// Helper function: The generator form as values, keeping only the time slots that were filled in
+function readGeneratorPattern(body) {
+    const slots = [].concat(body.slots || []).slice(0, MAX_TIME_SLOTS)
+        .map(s => ({ start: String((s && s.start) || '').trim(), end: String((s && s.end) || '').trim() }))
+        .filter(s => s.start || s.end);
+    const fields = ['season', 'name_prefix', 'first_number', 'start_day', 'end_day', 'from_date', 'to_date', 'numseats', 'Sessiondesc', 'price', 'earlybird_price', 'earlybird_deadline'];
+    const values = { slots };
+    fields.forEach(f => { values[f] = String(body[f] || '').trim(); });
+    return values;
+}
+
+// Helper function: Check the generator form; each session it makes is checked again like the add form
+function validateGeneratorPattern(v) {
+    const errors = {};
+    if (!SEASONS.includes(v.season)) errors.season = 'Please choose a season.';
+    if (isBlank(v.name_prefix)) errors.name_prefix = 'Please enter a name for the sessions, e.g. Session.';
+    const first = Number(v.first_number);
+    if (!Number.isInteger(first) || first < 1) errors.first_number = 'Please enter a whole number of at least 1.';
+
+    const from = parseDate(v.from_date);
+    const to = parseDate(v.to_date);
+    if (!from) errors.from_date = 'Please enter a valid first date.';
+    if (!to) errors.to_date = 'Please enter a valid last date.';
+    if (from && to && from > to) errors.to_date = 'The last date must be on or after the first date.';
+    if (from && to && to - from > 366 * DAY_MS) errors.to_date = 'Please generate at most a year of sessions at a time.';
+
+    ['start_day', 'end_day'].forEach(f => {
+        if (!WEEKDAY_NAMES[Number(v[f])] || isBlank(v[f])) errors[f] = 'Please choose a day of the week.';
+    });
+
+    const seats = Number(v.numseats);
+    if (!Number.isInteger(seats) || seats < 1) errors.numseats = 'Max seats must be a whole number of at least 1.';
+    if (isBlank(v.Sessiondesc)) errors.Sessiondesc = 'Description is required.';
+
+    if (v.slots.length === 0) errors.slots = 'Please enter at least one class time.';
+    else if (v.slots.some(s => !s.start || !s.end || s.start >= s.end)) errors.slots = 'Each class time needs a start and an end after it.';
+
+    return errors;
+}
+
+// Helper function: The sessions a generator pattern makes - one per time slot for each week whose
+// days (start_day through end_day) fall within the date range, skipping weeks with a holiday
+// Returns the sessions as import-style records plus the weeks skipped
+function planGeneratedSessions(v, holidays) {
+    const records = [];
+    const skipped = [];
+    const startDay = Number(v.start_day);
+    const span = (Number(v.end_day) - startDay + 7) % 7;
+    let number = parseInt(v.first_number);
+
+    // The first start day on or after the first date
+    let weekStart = v.from_date;
+    while (new Date(`${weekStart}T00:00:00`).getDay() !== startDay) weekStart = addDays(weekStart, 1);
+
+    for (; addDays(weekStart, span) <= v.to_date; weekStart = addDays(weekStart, 7)) {
+        const weekEnd = addDays(weekStart, span);
+        const closed = holidaysBetween(holidays, weekStart, weekEnd);
+        if (closed.length > 0) {
+            skipped.push({ startdate: weekStart, enddate: weekEnd, holidays: closed });
+            continue;
+        }
+        v.slots.forEach(slot => {
+            records.push({
+                row: records.length + 1,
+                values: {
+                    Sessionname: `${v.name_prefix} ${number++}`,
+                    Sessiondesc: v.Sessiondesc,
+                    season: v.season,
+                    startdate: weekStart,
+                    enddate: weekEnd,
+                    starttime: slot.start,
+                    endtime: slot.end,
+                    numseats: v.numseats,
+                    price: v.price,
+                    earlybird_price: v.earlybird_price,
+                    earlybird_deadline: v.earlybird_deadline
+                },
+                errors: [],
+                duplicate: ''
+            });
+        });
+    }
+    return { records, skipped };
+}
+
+// Helper function: Check planned sessions like imported ones (the add form's rules, and no repeat of an
+// existing name and start date) and mark the ones ready to create
+async function checkPlannedSessions(plan) {
+    await analyzeSessionImport(plan.records);
+    plan.records.forEach(r => { r.ready = r.errors.length === 0 && !r.duplicate; });
+    plan.readyCount = plan.records.filter(r => r.ready).length;
+    return plan;
+}
+
+// Helper function: The clone form as values
+function readClonePattern(body) {
+    return {
+        season: String(body.season || '').trim(),
+        from_year: String(body.from_year || '').trim(),
+        to_year: String(body.to_year || '').trim()
+    };
+}
+
+// Helper function: Check the clone form
+function validateClonePattern(v) {
+    const errors = {};
+    if (!SEASONS.includes(v.season)) errors.season = 'Please choose a season.';
+    const from = Number(v.from_year);
+    const to = Number(v.to_year);
+    if (!Number.isInteger(from) || from < 2000) errors.from_year = 'Please enter the year to copy, e.g. 2025.';
+    if (!Number.isInteger(to) || to < 2000) errors.to_year = 'Please enter the year to create, e.g. 2026.';
+    else if (!errors.from_year && to <= from) errors.to_year = 'The new year must be after the year being copied.';
+    return errors;
+}
+
+// Helper function: The sessions a season clone makes - each of the season's sessions that year moved
+// forward by the same whole number of weeks (so Monday classes stay on Mondays), landing as close as
+// possible to the same calendar dates. Sessions that would land on a holiday are skipped.
+async function planSeasonClone(v, holidays) {
+    const sources = await db('Sessions')
+        .where('season', v.season)
+        .whereNull('deleted_at')
+        .whereRaw('EXTRACT(YEAR FROM startdate) = ?', [parseInt(v.from_year)])
+        .orderBy('startdate', 'asc')
+        .orderBy('starttime', 'asc');
+    if (sources.length === 0) return { records: [], skipped: [], shiftDays: 0 };
+
+    const firstStart = formatExportDate(sources[0].startdate);
+    const target = `${v.to_year}${firstStart.slice(4)}`;
+    // (Feb 29 in a year without one lands on Mar 1)
+    const shiftDays = Math.round((new Date(`${target}T00:00:00`) - parseDate(firstStart)) / DAY_MS / 7) * 7;
+
+    const records = [];
+    const skipped = [];
+    sources.forEach(s => {
+        const startdate = addDays(formatExportDate(s.startdate), shiftDays);
+        const enddate = addDays(formatExportDate(s.enddate), shiftDays);
+        const closed = holidaysBetween(holidays, startdate, enddate);
+        if (closed.length > 0) {
+            skipped.push({ Sessionname: s.Sessionname, startdate, enddate, holidays: closed });
+            return;
+        }
+        records.push({
+            row: records.length + 1,
+            source: s,
+            values: {
+                Sessionname: s.Sessionname,
+                Sessiondesc: s.Sessiondesc,
+                season: s.season,
+                startdate,
+                enddate,
+                starttime: normalizeImportTime(s.starttime),
+                endtime: normalizeImportTime(s.endtime),
+                numseats: s.numseats === null ? '' : String(s.numseats),
+                price: s.price === null ? '' : String(s.price),
+                earlybird_price: s.earlybird_price === null ? '' : String(s.earlybird_price),
+                earlybird_deadline: s.earlybird_deadline ? addDays(formatExportDate(s.earlybird_deadline), shiftDays) : ''
+            },
+            errors: [],
+            duplicate: ''
+        });
+    });
+    return { records, skipped, shiftDays };
+}
+
+// Helper function: Create the ready sessions from a plan, auditing each one
+// Cloned sessions also offer the same (still active) projects as the session they were copied from
+async function createPlannedSessions(trx, req, plan, action) {
+    let created = 0;
+    for (const r of plan.records.filter(rec => rec.ready)) {
+        const v = r.values;
+        const [session] = await trx('Sessions').insert({
+            Sessionname: v.Sessionname,
+            Sessiondesc: v.Sessiondesc,
+            startdate: v.startdate,
+            enddate: v.enddate,
+            starttime: v.starttime,
+            endtime: v.endtime,
+            numseats: parseInt(v.numseats),
+            season: v.season,
+            price: v.price ? parseFloat(v.price) : null,
+            earlybird_price: v.earlybird_price ? parseFloat(v.earlybird_price) : null,
+            earlybird_deadline: v.earlybird_deadline || null
+        }).returning('*');
+
+        if (r.source) {
+            const offered = await trx('session_projects')
+                .join('projects', 'session_projects.projectid', 'projects.projectid')
+                .where('session_projects.sessionid', r.source.Sessionid)
+                .where('projects.active', true)
+                .pluck('projects.projectid');
+            if (offered.length > 0) await trx('session_projects').insert(offered.map(projectid => ({ sessionid: session.Sessionid, projectid })));
+        }
+
+        await recordAudit(trx, req, { action, entityType: 'session', entityId: session.Sessionid, sessionId: session.Sessionid, after: r.source ? { ...session, cloned_from: r.source.Sessionid } : session });
+        created++;
+    }
+    return created;
+}
+
+// Helper function: Render the generator page; `page` overrides the defaults
+async function renderSessionGenerator(req, res, page = {}) {
+    const holidaysText = (await getSettings(HOLIDAY_SETTINGS)).session_holidays;
+
+    // Offer to copy the latest year that has sessions into the year after it
+    const latest = await db('Sessions').whereNull('deleted_at').max('startdate as startdate').first();
+    const fromYear = latest && latest.startdate ? new Date(latest.startdate).getFullYear() : new Date().getFullYear();
+
+    res.render('admin_schedule_generate', {
+        pattern: GENERATOR_DEFAULTS,
+        clone: { season: 'Summer', from_year: String(fromYear), to_year: String(fromYear + 1) },
+        holidaysText,
+        holidays: parseHolidays(holidaysText).holidays,
+        seasons: SEASONS,
+        weekdays: WEEKDAY_NAMES,
+        maxSlots: MAX_TIME_SLOTS,
+        mode: '',
+        plan: null,
+        errors: {},
+        success_message: req.query.success || '',
+        error_message: '',
+        ...page
+    });
+}
+
+// A. GET: The generator, holiday list and season clone forms
+app.get('/admin/schedule/generate', ownerOnly, async (req, res) => {
+    try {
+        await renderSessionGenerator(req, res);
+    } catch (err) {
+        console.error("Session Generator Error:", err);
+        res.redirect('/campschedule');
+    }
+});
+
+// B. POST: Save the holiday list (weeks with a holiday are left out of generated and cloned sessions)
+app.post('/admin/schedule/holidays', ownerOnly, async (req, res) => {
+    const text = String(req.body.holidays || '').trim();
+    const { holidays, invalid } = parseHolidays(text);
+
+    try {
+        if (invalid.length > 0) {
+            return await renderSessionGenerator(req, res, { holidaysText: text, holidays, errors: { holidays: `These lines are not "YYYY-MM-DD Name": ${invalid.join('; ')}` } });
+        }
+
+        // Saved one per line in date order
+        const value = holidays.map(h => `${h.date} ${h.name}`).join('\n');
+        const before = await getSettings(HOLIDAY_SETTINGS);
+        await db.transaction(async (trx) => {
+            await saveSettings(trx, { session_holidays: value }, req.session.user.username);
+            await recordAudit(trx, req, { action: 'settings.holidays', entityType: 'setting', before, after: { session_holidays: value } });
+        });
+        res.redirect('/admin/schedule/generate?success=' + encodeURIComponent(`Holiday list saved (${holidays.length} holiday${holidays.length === 1 ? '' : 's'}).`));
+    } catch (err) {
+        console.error("Holiday Save Error:", err);
+        res.redirect('/admin/schedule/generate');
+    }
+});
+
+// Helper function: Plan the generator form, or the errors to show instead
+async function planFromGenerator(body) {
+    const pattern = readGeneratorPattern(body);
+    const errors = validateGeneratorPattern(pattern);
+    if (hasErrors(errors)) return { pattern, errors, plan: null };
+
+    const plan = await checkPlannedSessions(planGeneratedSessions(pattern, await getHolidays()));
+    if (plan.records.length === 0) errors.to_date = 'No whole weeks fit between these dates (or every week has a holiday).';
+    else if (plan.records.length > MAX_GENERATED_SESSIONS) errors.to_date = `That would make ${plan.records.length} sessions. Please generate at most ${MAX_GENERATED_SESSIONS} at a time.`;
+    return { pattern, errors, plan: hasErrors(errors) ? null : plan };
+}
+
+// C. POST: Preview the sessions a pattern makes - nothing is saved yet
+app.post('/admin/schedule/generate/preview', ownerOnly, async (req, res) => {
+    try {
+        const { pattern, errors, plan } = await planFromGenerator(req.body);
+        await renderSessionGenerator(req, res, { pattern, mode: 'generate', plan, errors });
+    } catch (err) {
+        console.error("Session Generator Preview Error:", err);
+        res.redirect('/admin/schedule/generate');
+    }
+});
+
+// D. POST: Create the generated sessions that passed the preview, all in one transaction
+app.post('/admin/schedule/generate', ownerOnly, async (req, res) => {
+    try {
+        // Plan again - sessions may have been added since the preview
+        const { pattern, errors, plan } = await planFromGenerator(req.body);
+        if (!plan || plan.readyCount === 0) {
+            return await renderSessionGenerator(req, res, { pattern, mode: 'generate', plan, errors, error_message: plan ? 'There are no sessions ready to create.' : '' });
+        }
+
+        const created = await db.transaction(trx => createPlannedSessions(trx, req, plan, 'session.generate'));
+        res.redirect('/admin/schedule/generate?success=' + encodeURIComponent(`Created ${created} ${pattern.season} session${created === 1 ? '' : 's'}.`));
+    } catch (err) {
+        console.error("Session Generator Error:", err);
+        renderSessionGenerator(req, res, { pattern: readGeneratorPattern(req.body), error_message: 'Creating the sessions failed and nothing was saved. Please try again.' })
+            .catch(() => res.redirect('/admin/schedule/generate'));
+    }
+});
+
+// Helper function: Plan the clone form, or the errors to show instead
+async function planFromClone(body) {
+    const clone = readClonePattern(body);
+    const errors = validateClonePattern(clone);
+    if (hasErrors(errors)) return { clone, errors, plan: null };
+
+    const plan = await checkPlannedSessions(await planSeasonClone(clone, await getHolidays()));
+    if (plan.records.length === 0 && plan.skipped.length === 0) errors.from_year = `There are no ${clone.season} sessions in ${clone.from_year} to copy.`;
+    return { clone, errors, plan: hasErrors(errors) ? null : plan };
+}
+
+// E. POST: Preview a season clone - last year's sessions on their new dates
+app.post('/admin/schedule/clone/preview', ownerOnly, async (req, res) => {
+    try {
+        const { clone, errors, plan } = await planFromClone(req.body);
+        await renderSessionGenerator(req, res, { clone, mode: 'clone', plan, errors });
+    } catch (err) {
+        console.error("Season Clone Preview Error:", err);
+        res.redirect('/admin/schedule/generate');
+    }
+});
+
+// F. POST: Create the cloned sessions that passed the preview, all in one transaction
+app.post('/admin/schedule/clone', ownerOnly, async (req, res) => {
+    try {
+        const { clone, errors, plan } = await planFromClone(req.body);
+        if (!plan || plan.readyCount === 0) {
+            return await renderSessionGenerator(req, res, { clone, mode: 'clone', plan, errors, error_message: plan ? 'There are no sessions ready to create.' : '' });
+        }
+
+        const created = await db.transaction(trx => createPlannedSessions(trx, req, plan, 'session.clone'));
+        res.redirect('/admin/schedule/generate?success=' + encodeURIComponent(`Copied ${created} ${clone.season} ${clone.from_year} session${created === 1 ? '' : 's'} into ${clone.to_year}.`));
+    } catch (err) {
+        console.error("Season Clone Error:", err);
+        renderSessionGenerator(req, res, { clone: readClonePattern(req.body), error_message: 'Copying the season failed and nothing was saved. Please try again.' })
+            .catch(() => res.redirect('/admin/schedule/generate'));
+    }
+});
+
+// --- ADMIN TRASH ROUTES (Restore or Purge Deleted Registrations & Sessions) ---
+
+// GET: Trash - everything deleted from the dashboard or schedule, newest first
+app.get('/admin/trash', ownerOrReadonly, async (req, res) => {
+    try {
+        const registrations = await db('registrations')
+            .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
+            .select(
+                'registrations.id as reg_id',
+                'registrations.first_name',
+                'registrations.last_name',
+                'registrations.email',
+                'registrations.status',
+                'registrations.deleted_at',
+                'registrations.deleted_by',
+                'Sessions.Sessionname',
+                'Sessions.startdate',
+                'Sessions.deleted_at as session_deleted_at'
+            )
+            .whereNotNull('registrations.deleted_at')
+            .orderBy('registrations.deleted_at', 'desc');
+
+        const sessions = await db('Sessions')
+            .leftJoin('registrations', 'Sessions.Sessionid', 'registrations.Sessionid')
+            .select('Sessions.*', db.raw('COUNT(registrations.id) as reg_count'))
+            .whereNotNull('Sessions.deleted_at')
+            .groupBy('Sessions.Sessionid')
+            .orderBy('Sessions.deleted_at', 'desc');
+
+        res.render('admin_trash', { registrations, sessions, success_message: req.query.success || '', error_message: req.query.error || '' });
+    } catch (err) {
+        console.error("Trash Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// POST: Restore a registration from the trash
+// A child who held a seat goes back into it, or onto the waitlist if the session has filled up since
+app.post('/admin/trash/registrations/:id/restore', ownerOnly, async (req, res) => {
+    try {
+        const message = await db.transaction(async (trx) => {
+            const reg = await trx('registrations').where('id', req.params.id).whereNotNull('deleted_at').first();
+            if (!reg) return { error: 'Registration not found in the trash.' };
+
+            const session = reg.Sessionid ? await trx('Sessions').where('Sessionid', reg.Sessionid).first() : null;
+            if (session && session.deleted_at) return { error: `Restore the session ${session.Sessionname} first.` };
+
+            const changes = { deleted_at: null, deleted_by: null };
+            const needsSeat = reg.status === 'waitlisted' || !NON_SEAT_STATUSES.includes(reg.status);
+            if (session && needsSeat) {
+                const placement = await reserveSeat(trx, session.Sessionid);
+                if (placement.status === 'waitlisted') {
+                    Object.assign(changes, { status: 'waitlisted', waitlist_position: placement.waitlistPosition });
+                } else if (reg.status === 'waitlisted') {
+                    Object.assign(changes, { status: 'pending', pending_since: new Date() });
+                }
+            }
+
+            await trx('registrations').where('id', reg.id).update(changes);
+            await recordAudit(trx, req, { action: 'registration.restore', entityType: 'registration', entityId: reg.id, regId: reg.id, sessionId: reg.Sessionid, before: { deleted_at: reg.deleted_at, status: reg.status }, after: { status: reg.status, ...changes } });
+
+            const waitlistNote = changes.status === 'waitlisted' ? ` The session is full, so they are on the waitlist at #${changes.waitlist_position}.` : '';
+            return { success: `Restored ${reg.first_name} ${reg.last_name}.${waitlistNote}` };
+        });
+
+        res.redirect('/admin/trash?' + (message.error ? 'error=' + encodeURIComponent(message.error) : 'success=' + encodeURIComponent(message.success)));
+    } catch (err) {
+        console.error("Restore Error:", err);
+        res.redirect('/admin/trash?error=' + encodeURIComponent('Error restoring registration.'));
+    }
+});
+
+// POST: Permanently delete a registration in the trash (its payments and signed waiver go with it)
+app.post('/admin/trash/registrations/:id/purge', ownerOnly, async (req, res) => {
+    try {
+        const purged = await db.transaction(async (trx) => {
+            const row = await trx('registrations').where('id', req.params.id).whereNotNull('deleted_at').first();
+            if (!row) return null;
+
+            // Keep the full record (with its family details) in the audit log
+            const details = await trx('registrations')
+                .leftJoin('child_info', 'registrations.child_id', 'child_info.childid')
+                .leftJoin('parent_info', 'child_info.parentid', 'parent_info.parentid')
+                .select('parent_info.parentfirstname', 'parent_info.parentlastname', 'child_info.allergies', 'child_info.medications', 'child_info.medical_conditions')
+                .where('registrations.id', row.id)
+                .first();
+            await trx('registrations').where('id', row.id).del();
+            await recordAudit(trx, req, { action: 'registration.purge', entityType: 'registration', entityId: row.id, regId: row.id, sessionId: row.Sessionid, before: { ...row, ...details } });
+            return row;
+        });
+
+        if (!purged) return res.redirect('/admin/trash?error=' + encodeURIComponent('Registration not found in the trash.'));
+        res.redirect('/admin/trash?success=' + encodeURIComponent(`Permanently deleted ${purged.first_name} ${purged.last_name}.`));
+    } catch (err) {
+        console.error("Purge Error:", err);
+        res.redirect('/admin/trash?error=' + encodeURIComponent('Error deleting registration.'));
+    }
+});
+
+// POST: Restore a session from the trash (its children stay cancelled or moved)
+app.post('/admin/trash/sessions/:id/restore', ownerOnly, async (req, res) => {
+    try {
+        const session = await db('Sessions').where('Sessionid', req.params.id).whereNotNull('deleted_at').first();
+        if (!session) return res.redirect('/admin/trash?error=' + encodeURIComponent('Session not found in the trash.'));
+
+        await db.transaction(async (trx) => {
+            await trx('Sessions').where('Sessionid', session.Sessionid).update({ deleted_at: null, deleted_by: null });
+            await recordAudit(trx, req, { action: 'session.restore', entityType: 'session', entityId: session.Sessionid, sessionId: session.Sessionid, before: { deleted_at: session.deleted_at }, after: { deleted_at: null } });
+        });
+        res.redirect('/admin/trash?success=' + encodeURIComponent(`Restored ${session.Sessionname}.`));
+    } catch (err) {
+        console.error("Session Restore Error:", err);
+        res.redirect('/admin/trash?error=' + encodeURIComponent('Error restoring session.'));
+    }
+});
+
+// POST: Permanently delete a session in the trash
+// Refused while registrations still point at it, so their history keeps its session details
+app.post('/admin/trash/sessions/:id/purge', ownerOnly, async (req, res) => {
+    try {
+        const session = await db('Sessions').where('Sessionid', req.params.id).whereNotNull('deleted_at').first();
+        if (!session) return res.redirect('/admin/trash?error=' + encodeURIComponent('Session not found in the trash.'));
+
+        // Cancelled and trashed registrations do not hold it back (they are detached below);
+        // any other registration is kept with its session for its history
+        const linked = await db('registrations')
+            .where('Sessionid', session.Sessionid)
+            .whereNull('deleted_at')
+            .whereNot('status', 'cancelled')
+            .count('id as count')
+            .first();
+        if (parseInt(linked.count) > 0) {
+            return res.redirect('/admin/trash?error=' + encodeURIComponent(`${session.Sessionname} still has ${linked.count} registration(s) on record, so it is kept for their history. Purge those registrations first.`));
+        }
+
+        await db.transaction(async (trx) => {
+            // The session's details go in the audit record, so the detached registrations can still be traced to it
+            const detached = await trx('registrations').where('Sessionid', session.Sessionid).pluck('id');
+            await trx('registrations').whereIn('id', detached).update({ Sessionid: null });
+            await trx('Sessions').where('Sessionid', session.Sessionid).del();
+            await recordAudit(trx, req, { action: 'session.purge', entityType: 'session', entityId: session.Sessionid, sessionId: session.Sessionid, before: { ...session, detached_registrations: detached } });
+        });
+        res.redirect('/admin/trash?success=' + encodeURIComponent(`Permanently deleted ${session.Sessionname}.`));
+    } catch (err) {
+        console.error("Session Purge Error:", err);
+        res.redirect('/admin/trash?error=' + encodeURIComponent('Error deleting session.'));
+    }
+});
+
+// --- ADMIN IMPORT ROUTES (CSV Import of Sessions & Historical Registrations) ---
+// Importing is two steps: a preview that checks every row and flags duplicates, then the import itself,
+// which re-checks the CSV from scratch and writes all the good rows in one transaction.
+const IMPORT_TYPES = ['sessions', 'registrations'];
+const IMPORT_STATUSES = ['approved', 'pending', 'rejected'];
+
+// CSV columns for each import type. Headers are matched ignoring case, spaces and punctuation,
+// so a file saved from the registrations export can be imported again as-is.
+const IMPORT_COLUMNS = {
+    sessions: [
+        { field: 'Sessionname', label: 'Session Name', headers: ['sessionname', 'session', 'name'], required: true },
+        { field: 'Sessiondesc', label: 'Description', headers: ['sessiondesc', 'description'], required: true },
+        { field: 'season', label: 'Season', headers: ['season', 'holiday'], required: true },
+        { field: 'startdate', label: 'Start Date', headers: ['startdate'], required: true },
+        { field: 'enddate', label: 'End Date', headers: ['enddate'], required: true },
+        { field: 'starttime', label: 'Start Time', headers: ['starttime'], required: true },
+        { field: 'endtime', label: 'End Time', headers: ['endtime'], required: true },
+        { field: 'numseats', label: 'Seats', headers: ['seats', 'numseats', 'maxseats', 'capacity'], required: true },
+        { field: 'price', label: 'Price', headers: ['price'] },
+        { field: 'earlybird_price', label: 'Early-Bird Price', headers: ['earlybirdprice'] },
+        { field: 'earlybird_deadline', label: 'Early-Bird Deadline', headers: ['earlybirddeadline'] }
+    ],
+    registrations: [
+        { field: 'first_name', label: 'Child First Name', headers: ['childfirstname', 'firstname'], required: true },
+        { field: 'last_name', label: 'Child Last Name', headers: ['childlastname', 'lastname'], required: true },
+        { field: 'birthdate', label: 'Birthdate', headers: ['birthdate', 'dob', 'dateofbirth'], required: true },
+        { field: 'parent_first_name', label: 'Parent First Name', headers: ['parentfirstname'], required: true },
+        { field: 'parent_last_name', label: 'Parent Last Name', headers: ['parentlastname'], required: true },
+        { field: 'email', label: 'Email', headers: ['email', 'parentemail'], required: true },
+        { field: 'phone', label: 'Phone', headers: ['phone', 'parentphone'], required: true },
+        { field: 'street_address', label: 'Street Address', headers: ['streetaddress', 'street', 'address'], required: true },
+        { field: 'city', label: 'City', headers: ['city'], required: true },
+        { field: 'state', label: 'State', headers: ['state'], required: true },
+        { field: 'zipcode', label: 'Zip Code', headers: ['zipcode', 'zip'], required: true },
+        { field: 'session_name', label: 'Session', headers: ['session', 'sessionname'], required: true },
+        { field: 'session_start', label: 'Session Start', headers: ['sessionstart', 'sessionstartdate'], required: true },
+        { field: 'status', label: 'Status', headers: ['status'] },
+        { field: 'registered', label: 'Registered', headers: ['registered', 'registeredon', 'createdat'] },
+        { field: 'waiver', label: 'Waiver', headers: ['waiver'] },
+        { field: 'special_requests', label: 'Projects and Requests', headers: ['projectsandrequests', 'specialrequests', 'requests'] },
+        { field: 'notes', label: 'Notes', headers: ['notes'] },
+        { field: 'allergies', label: 'Allergies', headers: ['allergies'] },
+        { field: 'medications', label: 'Medications', headers: ['medications'] },
+        { field: 'medical_conditions', label: 'Medical Conditions', headers: ['medicalconditions'] },
+        { field: 'emergency_name', label: 'Emergency Contact', headers: ['emergencycontact', 'emergencyname'] },
+        { field: 'emergency_relation', label: 'Emergency Relation', headers: ['emergencyrelation'] },
+        { field: 'emergency_phone', label: 'Emergency Phone', headers: ['emergencyphone'] },
+        { field: 'amount_paid', label: 'Paid', headers: ['paid', 'amountpaid'] },
+        { field: 'payment_method', label: 'Payment Method', headers: ['paymentmethod'] }
+    ]
+};
+
+// Helper function: Split CSV text into rows of fields (quoted fields may hold commas, quotes and line breaks)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    text = String(text || '').replace(/^﻿/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+// Helper function: Read spreadsheet dates (YYYY-MM-DD or M/D/YYYY) as YYYY-MM-DD
+function normalizeImportDate(value) {
+    const text = String(value || '').trim();
+    const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+    return text;
+}
+
+// Helper function: Read spreadsheet times (13:00 or 1:00 PM) as HH:MM
+function normalizeImportTime(value) {
+    const text = String(value || '').trim();
+    const m = text.match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?$/);
+    if (!m) return text;
+    let hours = parseInt(m[1]);
+    if (m[3]) hours = (hours % 12) + (m[3].toUpperCase() === 'PM' ? 12 : 0);
+    return `${String(hours).padStart(2, '0')}:${m[2]}`;
+}
+
+// Helper function: Turn CSV text into records keyed by field name, noting any required columns that are missing
+function readImportRecords(type, text) {
+    const columns = IMPORT_COLUMNS[type];
+    const rows = parseCsv(text);
+    const headers = (rows[0] || []).map(h => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+    const indexes = {};
+    columns.forEach(c => {
+        const i = headers.findIndex(h => c.headers.includes(h));
+        if (i !== -1) indexes[c.field] = i;
+    });
+    const missing = columns.filter(c => c.required && indexes[c.field] === undefined).map(c => c.label);
+
+    const records = rows.slice(1).map((cells, i) => {
+        const values = {};
+        columns.forEach(c => {
+            // Undo the ' the exports put in front of text that looks like a formula
+            const raw = indexes[c.field] !== undefined ? (cells[indexes[c.field]] || '') : '';
+            values[c.field] = raw.trim().replace(/^'(?=[=+\-@])/, '');
+        });
+        return { row: i + 2, values, errors: [], duplicate: '' };
+    });
+    return { records, missing };
+}
+
+// Helper function: Check each session row and flag sessions that already exist (same name and start date)
+async function analyzeSessionImport(records) {
+    const existing = await db('Sessions').whereNull('deleted_at').select('Sessionname', 'startdate');
+    const seen = new Set(existing.map(s => `${(s.Sessionname || '').trim().toLowerCase()}|${formatExportDate(s.startdate)}`));
+
+    records.forEach(r => {
+        const v = r.values;
+        ['startdate', 'enddate', 'earlybird_deadline'].forEach(f => { v[f] = normalizeImportDate(v[f]); });
+        ['starttime', 'endtime'].forEach(f => { v[f] = normalizeImportTime(v[f]); });
+        const season = SEASONS.find(s => s.toLowerCase() === v.season.toLowerCase());
+        if (season) v.season = season;
+
+        r.errors = Object.values(validateSession(v));
+        const key = `${v.Sessionname.toLowerCase()}|${v.startdate}`;
+        if (seen.has(key)) r.duplicate = 'A session with this name and start date already exists.';
+        seen.add(key);
+    });
+}
+
+// Helper function: Check each registration row, match it to its session, and flag duplicates
+// A duplicate is the same parent email and child name already on record (or earlier in the file)
+async function analyzeRegistrationImport(records) {
+    const sessions = await db('Sessions').whereNull('deleted_at').select('*');
+    const existing = await db('registrations').whereNull('deleted_at').select('email', 'first_name', 'last_name');
+    const keyOf = (email, first, last) => [email, first, last].map(s => String(s || '').trim().toLowerCase()).join('|');
+    const seen = new Set(existing.map(r => keyOf(r.email, r.first_name, r.last_name)));
+
+    records.forEach(r => {
+        const v = r.values;
+        ['birthdate', 'session_start', 'registered'].forEach(f => { v[f] = normalizeImportDate(v[f]); });
+        v.state = v.state.toUpperCase();
+        v.status = (v.status || 'approved').toLowerCase();
+        v.waiver = /^(y|yes|true|1)$/i.test(v.waiver) ? 'Y' : 'N';
+        v.payment_method = PAYMENT_METHODS.find(m => m.toLowerCase() === (v.payment_method || 'cash').toLowerCase()) || v.payment_method;
+
+        // Historical rows: no age limits (the child is older now) and no emergency contact required
+        const errors = {};
+        validateParent(v, errors);
+        validateChild(v, '', errors, { requireEmergencyContact: false, checkAgeLimits: false });
+        if (!IMPORT_STATUSES.includes(v.status)) errors.status = `Status must be one of: ${IMPORT_STATUSES.join(', ')}.`;
+        if (v.registered && !parseDate(v.registered)) errors.registered = 'Registered date is not a valid date.';
+        if (v.amount_paid && !(parseFloat(v.amount_paid.replace(/[$,]/g, '')) >= 0)) errors.amount_paid = 'Paid must be an amount like 125.00.';
+        if (v.amount_paid && !PAYMENT_METHODS.includes(v.payment_method)) errors.payment_method = `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}.`;
+
+        r.session = sessions.find(s => (s.Sessionname || '').trim().toLowerCase() === v.session_name.toLowerCase() && formatExportDate(s.startdate) === v.session_start);
+        if (!r.session) errors.session_name = `No session "${v.session_name}" starting ${v.session_start || '(blank)'}. Import or add the session first.`;
+        r.errors = Object.values(errors);
+
+        const key = keyOf(v.email, v.first_name, v.last_name);
+        if (seen.has(key)) r.duplicate = 'This child is already on record under this parent email.';
+        seen.add(key);
+    });
+}
+
+// Helper function: Parse and check an import; rows with no errors and no duplicate are ready to import
+async function analyzeImport(type, csvText) {
+    const { records, missing } = readImportRecords(type, csvText);
+    if (missing.length === 0) {
+        if (type === 'sessions') await analyzeSessionImport(records);
+        else await analyzeRegistrationImport(records);
+    }
+    records.forEach(r => { r.ready = r.errors.length === 0 && !r.duplicate; });
+    return { records, missing, readyCount: records.filter(r => r.ready).length };
+}
+
+// Helper function: Write one imported registration, reusing the family's parent, address and child
+// records (matched by email, then street and child name) like a returning family
+async function importRegistrationRow(trx, req, row, families) {
+    const v = row.values;
+    const session = row.session;
+    const registeredAt = v.registered ? parseDate(v.registered) : new Date();
+    const phone = normalizePhone(v.phone);
+
+    // Parent - the newest parent record for this email, or a new one
+    const emailKey = v.email.toLowerCase();
+    let family = families.get(emailKey);
+    if (!family) {
+        const parent = await trx('parent_info').whereRaw('LOWER(email) = LOWER(?)', [v.email]).orderBy('parentid', 'desc').first();
+        let parentId = parent ? parent.parentid : null;
+        if (!parentId) {
+            const [parentRes] = await trx('parent_info').insert({ parentfirstname: v.parent_first_name, parentlastname: v.parent_last_name, email: v.email, cellphone: phone, waiver: v.waiver }).returning('parentid');
+            parentId = parentRes?.parentid || parentRes;
+        }
+        family = { parentId, streets: new Map(), children: new Map() };
+        families.set(emailKey, family);
+    }
+
+    // Address - reuse a matching street for this parent
+    const streetKey = v.street_address.toLowerCase();
+    let streetId = family.streets.get(streetKey);
+    if (!streetId) {
+        const street = await trx('street').where('parentid', family.parentId).whereRaw('LOWER(streetaddress) = LOWER(?)', [v.street_address]).first();
+        if (street) {
+            streetId = street.addressid;
+        } else {
+            const [streetRes] = await trx('street').insert({ streetaddress: v.street_address, city: v.city, state: v.state, zipcode: v.zipcode, parentid: family.parentId }).returning('addressid');
+            streetId = streetRes?.addressid || streetRes;
+        }
+        family.streets.set(streetKey, streetId);
+    }
+
+    // Insert class information (special requests)
+    const [classRes] = await trx('class_info').insert({ classinformation: v.special_requests || null, classdate: registeredAt }).returning('classid');
+    const classId = classRes?.classid || classRes;
+
+    // Child - reuse this parent's child with the same name
+    const childKey = `${v.first_name}|${v.last_name}`.toLowerCase();
+    let childId = family.children.get(childKey);
+    if (!childId) {
+        const child = await trx('child_info')
+            .where('parentid', family.parentId)
+            .whereRaw('LOWER(childfirstname) = LOWER(?)', [v.first_name])
+            .whereRaw('LOWER(childlastname) = LOWER(?)', [v.last_name])
+            .first();
+        if (child) {
+            childId = child.childid;
+        } else {
+            const childage = ageFromBirthdate(parseDate(v.birthdate), registeredAt);
+            const [childRes] = await trx('child_info').insert({ childfirstname: v.first_name, childlastname: v.last_name, childage, parentid: family.parentId, classid: classId, ...childMedicalInfo(v) }).returning('childid');
+            childId = childRes?.childid || childRes;
+        }
+        family.children.set(childKey, childId);
+    }
+
+    // Registration - priced as of the date it was originally made
+    const pricing = computeSessionPrice(session, registeredAt);
+    const [regRes] = await trx('registrations').insert({
+        first_name: v.first_name,
+        last_name: v.last_name,
+        email: v.email,
+        phone,
+        birthdate: v.birthdate,
+        child_id: childId,
+        street_id: streetId,
+        class_id: classId,
+        Sessionid: session.Sessionid,
+        created_at: registeredAt,
+        status: v.status,
+        // A historical pending row starts its payment clock now, so the auto-release job does not drop it straight away
+        pending_since: v.status === 'pending' ? new Date() : null,
+        amount_due: pricing.amount.toFixed(2),
+        price_note: pricing.earlyBird ? 'early-bird price' : null,
+        notes: v.notes || null
+    }).returning('id');
+    const regId = regRes?.id || regRes;
+
+    // Payment already received, recorded on the registration date
+    const paid = v.amount_paid ? parseFloat(v.amount_paid.replace(/[$,]/g, '')) : 0;
+    if (paid > 0) {
+        await trx('payments').insert({ reg_id: regId, amount: paid.toFixed(2), method: v.payment_method, paid_on: registeredAt, reference: 'Imported', recorded_by: req.session.user.username });
+    }
+
+    await recordAudit(trx, req, { action: 'registration.import', entityType: 'registration', entityId: regId, regId, sessionId: session.Sessionid, after: { row: row.row, ...v } });
+}
+
+// GET: Import page - choose sessions or registrations and paste or pick a CSV file
+app.get('/admin/import', ownerOnly, (req, res) => {
+    res.render('admin_import', { type: req.query.type === 'registrations' ? 'registrations' : 'sessions', columns: IMPORT_COLUMNS, csv: '', preview: null, result: null, error_message: '' });
+});
+
+// POST: Preview an import - every row with its problems, nothing is written yet
+app.post('/admin/import/preview', ownerOnly, async (req, res) => {
+    const type = IMPORT_TYPES.includes(req.body.type) ? req.body.type : 'sessions';
+    const csv = req.body.csv || '';
+
+    try {
+        const preview = await analyzeImport(type, csv);
+        const error_message = preview.records.length === 0 ? 'No rows found. The first line of the CSV should be the column headers.' : '';
+        res.render('admin_import', { type, columns: IMPORT_COLUMNS, csv, preview, result: null, error_message });
+    } catch (err) {
+        console.error("Import Preview Error:", err);
+        res.render('admin_import', { type, columns: IMPORT_COLUMNS, csv, preview: null, result: null, error_message: 'Could not read that CSV.' });
+    }
+});
+
+// POST: Import the rows that passed the preview, all in one transaction
+app.post('/admin/import/commit', ownerOnly, async (req, res) => {
+    const type = IMPORT_TYPES.includes(req.body.type) ? req.body.type : 'sessions';
+    const csv = req.body.csv || '';
+
+    try {
+        // Check everything again - the data may have changed since the preview
+        const preview = await analyzeImport(type, csv);
+        const readyRows = preview.records.filter(r => r.ready);
+        if (preview.missing.length > 0 || readyRows.length === 0) {
+            return res.render('admin_import', { type, columns: IMPORT_COLUMNS, csv, preview, result: null, error_message: 'There are no rows ready to import.' });
+        }
+
+        await db.transaction(async (trx) => {
+            if (type === 'sessions') {
+                for (const r of readyRows) {
+                    const v = r.values;
+                    const [session] = await trx('Sessions').insert({
+                        Sessionname: v.Sessionname,
+                        Sessiondesc: v.Sessiondesc,
+                        startdate: v.startdate,
+                        enddate: v.enddate,
+                        starttime: v.starttime,
+                        endtime: v.endtime,
+                        numseats: parseInt(v.numseats),
+                        season: v.season,
+                        price: v.price ? parseFloat(v.price) : null,
+                        earlybird_price: v.earlybird_price ? parseFloat(v.earlybird_price) : null,
+                        earlybird_deadline: v.earlybird_deadline || null
+                    }).returning('*');
+                    await recordAudit(trx, req, { action: 'session.import', entityType: 'session', entityId: session.Sessionid, sessionId: session.Sessionid, after: session });
+                }
+            } else {
+                const families = new Map();
+                for (const r of readyRows) {
+                    await importRegistrationRow(trx, req, r, families);
+                }
+            }
+        });
+
+        const skipped = preview.records.length - readyRows.length;
+        res.render('admin_import', {
+            type,
+            columns: IMPORT_COLUMNS,
+            csv: '',
+            preview: null,
+            result: { imported: readyRows.length, skipped },
+            error_message: ''
+        });
+    } catch (err) {
+        console.error("Import Error:", err);
+        res.render('admin_import', { type, columns: IMPORT_COLUMNS, csv, preview: null, result: null, error_message: 'The import failed and nothing was saved. Please check the file and try again.' });
+    }
+});
+
+// --- ADMIN ACCOUNT ROUTES (Owner: Staff Accounts, Roles & Session Assignments) ---
+
+// Helper function: Count the enabled owners other than the given account (the last one cannot be demoted or disabled)
+async function countOtherOwners(userId) {
+    const row = await db('authentication').where({ role: 'owner', disabled: false }).whereNot('id', userId).count('id as count').first();
+    return parseInt(row.count) || 0;
+}
+
+// Helper function: Replace the sessions an instructor is assigned to
+async function assignStaffSessions(trx, userId, role, sessionIds) {
+    await trx('staff_sessions').where('userid', userId).del();
+    const ids = role === 'staff' ? [...new Set([].concat(sessionIds || []).map(id => parseInt(id)).filter(id => id))] : [];
+    if (ids.length > 0) {
+        await trx('staff_sessions').insert(ids.map(sessionid => ({ userid: userId, sessionid })));
+    }
+    return ids;
+}
+
+// Helper function: Every account with the sessions it is assigned to, plus the session list for the forms
+async function loadAccountsPage() {
+    const accounts = await db('authentication').select('id', 'username', 'role', 'disabled').orderBy('username', 'asc');
+    const assignments = await db('staff_sessions').select('userid', 'sessionid');
+    accounts.forEach(a => {
+        a.sessionIds = assignments.filter(s => s.userid === a.id).map(s => s.sessionid);
+    });
+    const sessions = await db('Sessions').whereNull('deleted_at').select('Sessionid', 'Sessionname', 'startdate', 'season').orderBy('startdate', 'desc');
+    return { accounts, sessions };
+}
+
+// GET: Staff accounts - create accounts, change roles and sessions, disable and reset passwords
+app.get('/admin/accounts', ownerOnly, async (req, res) => {
+    try {
+        const { accounts, sessions } = await loadAccountsPage();
+        res.render('admin_accounts', {
+            accounts,
+            sessions,
+            roleLabels: ROLE_LABELS,
+            errors: {},
+            values: {},
+            success_message: req.query.success || '',
+            error_message: req.query.error || ''
+        });
+    } catch (err) {
+        console.error("Accounts Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// POST: Create a staff account
+app.post('/admin/accounts', ownerOnly, async (req, res) => {
+    const { username, password, role, sessions: sessionIds } = req.body;
+    const errors = {};
+
+    try {
+        if (isBlank(username)) errors.username = 'Username is required.';
+        else if (await db('authentication').whereRaw('LOWER(username) = LOWER(?)', [username.trim()]).first()) errors.username = 'That username is already taken.';
+        if (String(password || '').length < MIN_PASSWORD_LENGTH) errors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+        if (!ROLES.includes(role)) errors.role = 'Please choose a role.';
+
+        if (hasErrors(errors)) {
+            const { accounts, sessions } = await loadAccountsPage();
+            return res.render('admin_accounts', { accounts, sessions, roleLabels: ROLE_LABELS, errors, values: req.body, success_message: '', error_message: '' });
+        }
+
+        const hashed = await hashPassword(password);
+        await db.transaction(async (trx) => {
+            const [userRes] = await trx('authentication').insert({ username: username.trim(), password: hashed, role, disabled: false }).returning('id');
+            const userId = userRes?.id || userRes;
+            const assigned = await assignStaffSessions(trx, userId, role, sessionIds);
+            await recordAudit(trx, req, { action: 'account.create', entityType: 'account', entityId: userId, after: { username: username.trim(), role, sessionIds: assigned } });
+        });
+        res.redirect('/admin/accounts?success=' + encodeURIComponent(`Account ${username.trim()} created.`));
+    } catch (err) {
+        console.error("Account Create Error:", err);
+        res.redirect('/admin/accounts?error=' + encodeURIComponent('Error creating account.'));
+    }
+});
+
+// POST: Change an account's role and assigned sessions
+app.post('/admin/accounts/:id', ownerOnly, async (req, res) => {
+    const { role, sessions: sessionIds } = req.body;
+
+    try {
+        const account = await db('authentication').where('id', req.params.id).first();
+        if (!account) return res.redirect('/admin/accounts?error=' + encodeURIComponent('Account not found.'));
+        if (!ROLES.includes(role)) return res.redirect('/admin/accounts?error=' + encodeURIComponent('Please choose a role.'));
+        if (account.role === 'owner' && role !== 'owner' && (await countOtherOwners(account.id)) === 0) {
+            return res.redirect('/admin/accounts?error=' + encodeURIComponent('There must always be at least one owner.'));
+        }
+
+        await db.transaction(async (trx) => {
+            const before = await trx('staff_sessions').where('userid', account.id).pluck('sessionid');
+            await trx('authentication').where('id', account.id).update({ role });
+            const assigned = await assignStaffSessions(trx, account.id, role, sessionIds);
+            await recordAudit(trx, req, { action: 'account.role', entityType: 'account', entityId: account.id, before: { username: account.username, role: account.role, sessionIds: before }, after: { username: account.username, role, sessionIds: assigned } });
+        });
+        res.redirect('/admin/accounts?success=' + encodeURIComponent(`Updated ${account.username}.`));
+    } catch (err) {
+        console.error("Account Update Error:", err);
+        res.redirect('/admin/accounts?error=' + encodeURIComponent('Error updating account.'));
+    }
+});
+
+// POST: Disable or re-enable an account (disabled accounts cannot sign in and are signed out on their next page)
+app.post('/admin/accounts/:id/:action(disable|enable)', ownerOnly, async (req, res) => {
+    const disable = req.params.action === 'disable';
+
+    try {
+        const account = await db('authentication').where('id', req.params.id).first();
+        if (!account) return res.redirect('/admin/accounts?error=' + encodeURIComponent('Account not found.'));
+        if (disable && account.id === req.session.user.id) {
+            return res.redirect('/admin/accounts?error=' + encodeURIComponent('You cannot disable your own account.'));
+        }
+        if (disable && account.role === 'owner' && (await countOtherOwners(account.id)) === 0) {
+            return res.redirect('/admin/accounts?error=' + encodeURIComponent('There must always be at least one owner.'));
+        }
+
+        await db.transaction(async (trx) => {
+            await trx('authentication').where('id', account.id).update({ disabled: disable });
+            await recordAudit(trx, req, { action: `account.${req.params.action}`, entityType: 'account', entityId: account.id, before: { username: account.username, disabled: account.disabled }, after: { username: account.username, disabled: disable } });
+        });
+        res.redirect('/admin/accounts?success=' + encodeURIComponent(`${account.username} ${disable ? 'disabled' : 'enabled'}.`));
+    } catch (err) {
+        console.error("Account Disable Error:", err);
+        res.redirect('/admin/accounts?error=' + encodeURIComponent('Error updating account.'));
+    }
+});
+
+// POST: Set a new password for an account (the owner passes it on to them)
+app.post('/admin/accounts/:id/reset-password', ownerOnly, async (req, res) => {
+    const { new_password } = req.body;
+
+    try {
+        const account = await db('authentication').where('id', req.params.id).first();
+        if (!account) return res.redirect('/admin/accounts?error=' + encodeURIComponent('Account not found.'));
+        if (String(new_password || '').length < MIN_PASSWORD_LENGTH) {
+            return res.redirect('/admin/accounts?error=' + encodeURIComponent(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`));
+        }
+
+        const hashed = await hashPassword(new_password);
+        await db.transaction(async (trx) => {
+            await trx('authentication').where('id', account.id).update({ password: hashed });
+            // The password itself is never logged
+            await recordAudit(trx, req, { action: 'account.password', entityType: 'account', entityId: account.id, after: { username: account.username } });
+        });
+        res.redirect('/admin/accounts?success=' + encodeURIComponent(`Password reset for ${account.username}.`));
+    } catch (err) {
+        console.error("Password Reset Error:", err);
+        res.redirect('/admin/accounts?error=' + encodeURIComponent('Error resetting password.'));
+    }
+});
+
+// --- ADMIN PASSWORD ROUTES (Any Signed-in Account: Change Own Password) ---
+
+// GET: Change password form
+app.get('/admin/password', (req, res) => {
+    res.render('admin_password', { errors: {}, success_message: req.query.success || '' });
+});
+
+// POST: Change the signed-in account's password (the current one is required)
+app.post('/admin/password', async (req, res) => {
+    const { current_password, new_password, confirm_password } = req.body;
+
+    try {
+        const account = await db('authentication').where('id', req.session.user.id).first();
+        const errors = {};
+        if (!(await checkPassword(current_password || '', account.password))) errors.current_password = 'Your current password is not correct.';
+        if (String(new_password || '').length < MIN_PASSWORD_LENGTH) errors.new_password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+        else if (new_password === current_password) errors.new_password = 'Please choose a different password from your current one.';
+        if (!errors.new_password && new_password !== confirm_password) errors.confirm_password = 'The passwords do not match.';
+
+        if (hasErrors(errors)) {
+            return res.render('admin_password', { errors, success_message: '' });
+        }
+
+        const hashed = await hashPassword(new_password);
+        await db.transaction(async (trx) => {
+            await trx('authentication').where('id', account.id).update({ password: hashed });
+            // The password itself is never logged
+            await recordAudit(trx, req, { action: 'account.password', entityType: 'account', entityId: account.id, after: { username: account.username, changed_by_self: true } });
+        });
+        res.redirect('/admin/password?success=' + encodeURIComponent('Your password has been changed.'));
+    } catch (err) {
+        console.error("Password Change Error:", err);
+        res.render('admin_password', { errors: { current_password: 'Error changing password. Please try again.' }, success_message: '' });
+    }
+});
+
+// --- ADMIN CALENDAR ROUTES (Any Signed-in Account: Private Session Feed) ---
+
+// GET: The account's private calendar feed address, and the public one for parents
+app.get('/admin/calendar', async (req, res) => {
+    try {
+        const token = await getCalendarToken(req.session.user.id);
+        const baseUrl = getBaseUrl(req);
+        res.render('admin_calendar', {
+            feedUrl: `${baseUrl}/calendar/staff/${token}.ics`,
+            publicUrl: `${baseUrl}/calendar.ics`,
+            seasons: SEASONS,
+            success_message: req.query.success || ''
+        });
+    } catch (err) {
+        console.error("Calendar Page Error:", err);
+        res.redirect('/admin');
+    }
+});
 
-        // Generate comma-separated email list for bulk email functionality
-        const allEmails = [...new Set(registrations.map(r => r.email).filter(e => e))].join(',');
+// POST: Give the account a new feed address, so anyone with the old one can no longer see it
+app.post('/admin/calendar/reset', async (req, res) => {
+    try {
+        await db.transaction(async (trx) => {
+            await trx('authentication').where('id', req.session.user.id).update({ calendar_token: crypto.randomBytes(24).toString('hex') });
+            await recordAudit(trx, req, { action: 'account.calendar_reset', entityType: 'account', entityId: req.session.user.id, after: { username: req.session.user.username } });
+        });
+        res.redirect('/admin/calendar?success=' + encodeURIComponent('Your calendar address has been changed. Subscribe again with the new one below.'));
+    } catch (err) {
+        console.error("Calendar Reset Error:", err);
+        res.redirect('/admin/calendar');
+    }
+});
 
-        res.render('admin', { 
-            registrations: processedRegs, 
-            pendingRegs: pendingRegs, 
-            user: req.session.user, 
-            searchQuery,
-            emailList: allEmails
+// --- ADMIN REMINDER ROUTES (Reminder Settings, Upcoming Sends & Supply Lists) ---
+// Supply lists are read into the form in the browser, so they must fit in the 1mb form limit once base64-encoded
+const MAX_SUPPLY_LIST_BYTES = 700 * 1024;
+const SUPPLY_LIST_TYPES = {
+    'application/pdf': 'PDF',
+    'application/msword': 'Word',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word',
+    'text/plain': 'Text',
+    'image/png': 'Image',
+    'image/jpeg': 'Image'
+};
+
+// Helper function: Everything the reminders page shows
+async function loadRemindersPage(settings) {
+    const until = new Date(Date.now() + REMINDER_PREVIEW_DAYS * DAY_MS);
+    const upcoming = await findReminders(settings, until);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const sessions = await db('Sessions')
+        .leftJoin('session_supply_lists', 'Sessions.Sessionid', 'session_supply_lists.sessionid')
+        .select('Sessions.Sessionid', 'Sessions.Sessionname', 'Sessions.startdate', 'Sessions.enddate', 'session_supply_lists.filename', 'session_supply_lists.uploaded_by', 'session_supply_lists.uploaded_at')
+        .whereNull('Sessions.deleted_at')
+        .where('Sessions.enddate', '>=', today)
+        .orderBy('Sessions.startdate', 'asc');
+
+    return { settings, upcoming, sessions, previewDays: REMINDER_PREVIEW_DAYS, deadlineDays: PAYMENT_DEADLINE_DAYS, maxSupplyListKb: MAX_SUPPLY_LIST_BYTES / 1024, supplyListTypes: Object.keys(SUPPLY_LIST_TYPES) };
+}
+
+// GET: Reminder settings, the reminders due over the next two weeks, and each session's supply list
+app.get('/admin/reminders', ownerOrReadonly, async (req, res) => {
+    try {
+        const page = await loadRemindersPage(await getReminderSettings());
+        res.render('admin_reminders', { ...page, errors: {}, success_message: req.query.success || '', error_message: req.query.error || '' });
+    } catch (err) {
+        console.error("Reminders Fetch Error:", err);
+        res.redirect('/admin');
+    }
+});
+
+// POST: Save the reminder settings
+app.post('/admin/reminders/settings', ownerOnly, async (req, res) => {
+    const paymentDays = Number(req.body.payment_reminder_days);
+    const campDays = Number(req.body.camp_reminder_days);
+    const settings = { enabled: req.body.reminders_enabled === 'true', paymentDays, campDays };
+
+    // A payment reminder must go out before the unpaid spot is released
+    const errors = {};
+    if (!Number.isInteger(paymentDays) || paymentDays < 1 || paymentDays >= PAYMENT_DEADLINE_DAYS) {
+        errors.payment_reminder_days = `Please enter a whole number of days from 1 to ${PAYMENT_DEADLINE_DAYS - 1}, so it arrives before the ${PAYMENT_DEADLINE_DAYS}-day payment deadline.`;
+    }
+    if (!Number.isInteger(campDays) || campDays < 1 || campDays > 60) {
+        errors.camp_reminder_days = 'Please enter a whole number of days from 1 to 60.';
+    }
+
+    try {
+        if (hasErrors(errors)) {
+            const page = await loadRemindersPage(await getReminderSettings());
+            return res.render('admin_reminders', { ...page, settings, errors, success_message: '', error_message: '' });
+        }
+
+        const before = await getSettings(REMINDER_DEFAULTS);
+        const after = { reminders_enabled: String(settings.enabled), payment_reminder_days: String(paymentDays), camp_reminder_days: String(campDays) };
+        await db.transaction(async (trx) => {
+            await saveSettings(trx, after, req.session.user.username);
+            await recordAudit(trx, req, { action: 'settings.reminders', entityType: 'setting', before, after });
         });
+        res.redirect('/admin/reminders?success=' + encodeURIComponent('Reminder settings saved.'));
     } catch (err) {
-        console.error('Admin Fetch Error:', err);
-        res.render('admin', { registrations: [], pendingRegs: [], user: req.session.user, error: "Error loading data", searchQuery: '', emailList: '' });
+        console.error("Reminder Settings Error:", err);
+        res.redirect('/admin/reminders?error=' + encodeURIComponent('Error saving reminder settings.'));
     }
 });
 
-// ROUTE: Update Personal Notes (AJAX) - Admin can add notes to registrations
-app.post('/admin/update-note', async (req, res) => {
-    if (!req.session.user) return res.status(401).json({ error: 'Unauthorized' });
-    const { reg_id, notes } = req.body;
+// POST: Queue every reminder that is due now, without waiting for the hourly run
+app.post('/admin/reminders/send', ownerOnly, async (req, res) => {
     try {
-        await db('registrations').where('id', reg_id).update({ notes: notes });
-        res.json({ success: true });
+        const queued = await runScheduledReminders();
+        res.redirect('/admin/reminders?success=' + encodeURIComponent(queued > 0 ? `Queued ${queued} reminder(s). See the Email Log for delivery.` : 'No reminders are due right now.'));
     } catch (err) {
-        console.error("Error updating note:", err);
-        res.status(500).json({ error: 'Failed to update note' });
+        console.error("Reminder Send Error:", err);
+        res.redirect('/admin/reminders?error=' + encodeURIComponent('Error sending reminders.'));
     }
 });
 
-// ROUTE: Approve Registration - Update status to 'approved' and send confirmation email to parent
-app.post('/admin/approve/:id', async (req, res) => {
-    if (!req.session.user) return res.redirect('/login');
-    const regId = req.params.id;
+// GET: Download a session's supply list (any signed-in staff member, so instructors can print it)
+app.get('/admin/reminders/supply-list/:sessionId', async (req, res) => {
+    try {
+        const list = await db('session_supply_lists').where('sessionid', req.params.sessionId).first();
+        if (!list) return res.status(404).send("No supply list for this session.");
+        res.set('Content-Type', list.content_type);
+        res.set('Content-Disposition', `attachment; filename="${list.filename.replace(/"/g, '')}"`);
+        res.send(Buffer.from(list.data, 'base64'));
+    } catch (err) {
+        console.error("Supply List Download Error:", err);
+        res.redirect('/admin/reminders');
+    }
+});
+
+// POST: Upload (or replace) a session's supply list
+// The file arrives as a data URL read in the browser, with its original name
+app.post('/admin/reminders/supply-list/:sessionId', ownerOnly, async (req, res) => {
+    const match = /^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/=]+)$/.exec(String(req.body.file_data || ''));
+    const fail = (message) => res.redirect('/admin/reminders?error=' + encodeURIComponent(message));
+
+    if (!match) return fail('Please choose a supply list file to upload.');
+    const contentType = match[1];
+    const data = match[2];
+    if (!SUPPLY_LIST_TYPES[contentType]) return fail('Supply lists must be a PDF, Word document, text file or image.');
+    if (Buffer.byteLength(data, 'base64') > MAX_SUPPLY_LIST_BYTES) return fail(`Supply lists must be under ${MAX_SUPPLY_LIST_BYTES / 1024} KB.`);
+
+    // Keep just the file's own name, without any folder or odd characters
+    const filename = path.basename(String(req.body.file_name || 'supply-list')).replace(/[^\w.\- ]/g, '_').slice(0, 200) || 'supply-list';
 
     try {
+        const session = await db('Sessions').where('Sessionid', req.params.sessionId).whereNull('deleted_at').first();
+        if (!session) return fail('Session not found.');
+
+        const before = await db('session_supply_lists').select('filename', 'uploaded_by', 'uploaded_at').where('sessionid', session.Sessionid).first();
         await db.transaction(async (trx) => {
-            // Update registration status to approved
-            await trx('registrations').where('id', regId).update({ status: 'approved' });
+            await trx('session_supply_lists')
+                .insert({ sessionid: session.Sessionid, filename, content_type: contentType, data, uploaded_by: req.session.user.username, uploaded_at: new Date() })
+                .onConflict('sessionid')
+                .merge();
+            await recordAudit(trx, req, { action: 'session.supply_list', entityType: 'session', entityId: session.Sessionid, sessionId: session.Sessionid, before: before ? { supply_list: before.filename } : null, after: { supply_list: filename } });
+        });
+        res.redirect('/admin/reminders?success=' + encodeURIComponent(`Supply list saved for ${session.Sessionname}.`));
+    } catch (err) {
+        console.error("Supply List Upload Error:", err);
+        fail('Error saving supply list.');
+    }
+});
 
-            // Fetch registration and related session details for email
-            const reg = await trx('registrations')
-                .join('parent_info', 'registrations.id', '=', 'registrations.id') 
-                .leftJoin('child_info', 'registrations.child_id', 'child_info.childid')
-                .leftJoin('parent_info as pi', 'child_info.parentid', 'pi.parentid')
-                .leftJoin('Sessions', 'registrations.Sessionid', 'Sessions.Sessionid')
-                .select(
-                    'registrations.first_name', 
-                    'registrations.last_name',
-                    'registrations.email',
-                    'pi.parentfirstname',
-                    'pi.parentlastname',
-                    'Sessions.Sessionname',
-                    'Sessions.startdate',
-                    'Sessions.enddate',
-                    'Sessions.starttime',
-                    'Sessions.endtime'
-                )
-                .where('registrations.id', regId)
-                .first();
+// POST: Remove a session's supply list
+app.post('/admin/reminders/supply-list/:sessionId/delete', ownerOnly, async (req, res) => {
+    try {
+        const list = await db('session_supply_lists').select('sessionid', 'filename').where('sessionid', req.params.sessionId).first();
+        if (!list) return res.redirect('/admin/reminders');
 
-            // Send approval email with session details to parent
-            if (reg) {
-                const dateStr = `${new Date(reg.startdate).toLocaleDateString()} - ${new Date(reg.enddate).toLocaleDateString()}`;
-                
-                // Helper function to convert 24-hour time to 12-hour format with AM/PM
-                const formatT = (t) => {
-                    if (!t) return '';
-                    let [hours, minutes] = t.split(':');
-                    hours = parseInt(hours);
-                    const ampm = hours >= 12 ? 'PM' : 'AM';
-                    hours = hours % 12;
-                    hours = hours ? hours : 12; 
-                    return `${hours}:${minutes}${ampm}`;
-                };
-                const timeStr = `${formatT(reg.starttime)} and ${formatT(reg.endtime)}`;
-
-                const msg = `Hello ${reg.parentfirstname} ${reg.parentlastname} we are so excited for ${reg.first_name} ${reg.last_name} to join us for ${reg.Sessionname} on ${dateStr} from ${timeStr}! Your spot is reserved and if you have any questions or concerns feel free to send us as Email or text!`;
-
-                sendEmail(reg.email, "Registration Approved - Sewing Camp", msg);
-            }
+        await db.transaction(async (trx) => {
+            await trx('session_supply_lists').where('sessionid', list.sessionid).del();
+            await recordAudit(trx, req, { action: 'session.supply_list', entityType: 'session', entityId: list.sessionid, sessionId: list.sessionid, before: { supply_list: list.filename }, after: { supply_list: null } });
         });
+        res.redirect('/admin/reminders?success=' + encodeURIComponent('Supply list removed.'));
+    } catch (err) {
+        console.error("Supply List Delete Error:", err);
+        res.redirect('/admin/reminders?error=' + encodeURIComponent('Error removing supply list.'));
+    }
+});
 
-        res.redirect('/admin');
+// --- ADMIN EMAIL ROUTES (Delivery Log & Templates) ---
+const EMAIL_LOG_LIMIT = 200;
+
+// GET: Delivery log - the newest emails first, filtered by status, recipient or registration
+app.get('/admin/emails', ownerOrReadonly, async (req, res) => {
+    const filters = {
+        status: EMAIL_STATUSES.includes(req.query.status) ? req.query.status : '',
+        q: String(req.query.q || '').trim(),
+        reg: /^\d+$/.test(String(req.query.reg || '')) ? req.query.reg : ''
+    };
+
+    try {
+        const query = db('email_queue')
+            .select('emailid', 'to_address', 'subject', 'template_key', 'reg_id', 'supply_list_sessionid', 'announcementid', 'status', 'attempts', 'last_error', 'next_attempt_at', 'sent_at', 'created_at')
+            .orderBy('emailid', 'desc')
+            .limit(EMAIL_LOG_LIMIT);
+        if (filters.status) query.where('status', filters.status);
+        if (filters.q) query.where('to_address', 'ilike', `%${filters.q}%`);
+        if (filters.reg) query.where('reg_id', filters.reg);
+        const emails = await query;
+
+        const counts = await db('email_queue').select('status').count('emailid as count').groupBy('status');
+        const statusCounts = {};
+        counts.forEach(c => { statusCounts[c.status] = parseInt(c.count); });
+
+        res.render('admin_emails', {
+            emails,
+            filters,
+            statusCounts,
+            statuses: EMAIL_STATUSES,
+            templateLabels: TEMPLATE_LABELS,
+            limit: EMAIL_LOG_LIMIT,
+            maxAttempts: MAX_EMAIL_ATTEMPTS,
+            transportConfigured: !!transporter,
+            success_message: req.query.success || '',
+            error_message: req.query.error || ''
+        });
     } catch (err) {
-        console.error("Error approving:", err);
+        console.error("Email Log Error:", err);
         res.redirect('/admin');
     }
 });
 
-// ROUTE: Reject Registration - Update status to 'rejected'
-app.post('/admin/reject/:id', async (req, res) => {
-    if (!req.session.user) return res.redirect('/login');
+// POST: Send a failed (or still waiting) email again straight away, with a fresh set of attempts
+app.post('/admin/emails/:id/retry', ownerOnly, async (req, res) => {
     try {
-        await db('registrations').where('id', req.params.id).update({ status: 'rejected' });
-        res.redirect('/admin');
+        const updated = await db('email_queue')
+            .where('emailid', req.params.id)
+            .whereIn('status', ['failed', 'queued'])
+            .update({ status: 'queued', attempts: 0, next_attempt_at: new Date(), last_error: null });
+        if (!updated) return res.redirect('/admin/emails?error=' + encodeURIComponent('That email has already been sent.'));
+
+        scheduleEmailQueueRun();
+        res.redirect('/admin/emails?success=' + encodeURIComponent('Email queued to send again.'));
     } catch (err) {
-        console.error("Error rejecting:", err);
-        res.redirect('/admin');
+        console.error("Email Retry Error:", err);
+        res.redirect('/admin/emails?error=' + encodeURIComponent('Error retrying email.'));
     }
 });
 
-// 2. CREATE (Add New Registration from Admin)
-// Admin can manually add new participants without needing approval
-// Registrations added by admin are auto-approved
-app.get('/admin/add', async (req, res) => {
-    if (!req.session.user) return res.redirect('/login');
-    
-    // Fetch available sessions for dropdown
-    let sessions = [];
-    if (dbConnected) {
-        try {
-            sessions = await db('Sessions')
-                .leftJoin('registrations', 'Sessions.Sessionid', 'registrations.Sessionid')
-                .select('Sessions.*', db.raw("COUNT(CASE WHEN registrations.status != 'rejected' THEN 1 END) as enrolled_count"))
-                .groupBy('Sessions.Sessionid')
-                .orderBy('startdate', 'asc');
-        } catch (err) {
-            console.error("Error fetching sessions for admin add:", err);
-        }
+// Helper function: Every template as currently used, with whether it has been changed from the default
+async function loadEmailTemplates() {
+    const saved = await db('email_templates').pluck('template_key');
+    const templates = [];
+    for (const key of TEMPLATE_KEYS) {
+        const template = await getEmailTemplate(db, key);
+        templates.push({ key, label: TEMPLATE_LABELS[key], customized: saved.includes(key), ...template });
+    }
+    return templates;
+}
+
+// GET: Email templates with their placeholders and a preview using sample values
+app.get('/admin/emails/templates', ownerOrReadonly, async (req, res) => {
+    try {
+        const templates = await loadEmailTemplates();
+        res.render('admin_email_templates', {
+            templates,
+            placeholders: PLACEHOLDERS,
+            preview: (t) => renderTemplate(t, SAMPLE_VALUES),
+            errors: {},
+            editingKey: null,
+            success_message: req.query.success || ''
+        });
+    } catch (err) {
+        console.error("Email Templates Error:", err);
+        res.redirect('/admin/emails');
     }
-    res.render('admin_add', { sessions }); 
 });
 
-// POST: Process new registration from admin form
-// Creates all related records and auto-approves the registration
-app.post('/admin/add', async (req, res) => {
-    if (!req.session.user) return res.redirect('/login');
-    const { first_name, last_name, birthdate, age, parent_first_name, parent_last_name, email, phone, street_address, city, state, zipcode, special_requests, selected_session, agree } = req.body;
+// POST: Save a template, or put it back to the default (action=reset)
+app.post('/admin/emails/templates/:key', ownerOnly, async (req, res) => {
+    const key = req.params.key;
+    if (!TEMPLATE_KEYS.includes(key)) return res.redirect('/admin/emails/templates');
 
     try {
-        await db.transaction(async (trx) => {
-            // Insert parent information
-            const [parentRes] = await trx('parent_info').insert({ parentfirstname: parent_first_name, parentlastname: parent_last_name, email: email, cellphone: phone, waiver: agree ? 'Y' : 'N' }).returning('parentid');
-            const parentId = parentRes?.parentid || parentRes;
+        const before = await getEmailTemplate(db, key);
 
-            // Insert street address
-            const [streetRes] = await trx('street').insert({ streetaddress: street_address, city: city, state: state, zipcode: zipcode, parentid: parentId }).returning('addressid');
-            const streetId = streetRes?.addressid || streetRes;
+        if (req.body.action === 'reset') {
+            await db.transaction(async (trx) => {
+                await trx('email_templates').where('template_key', key).del();
+                await recordAudit(trx, req, { action: 'email_template.reset', entityType: 'email_template', before: { template_key: key, subject: before.subject, text: before.text, html: before.html }, after: { template_key: key, ...DEFAULT_TEMPLATES[key] } });
+            });
+            return res.redirect('/admin/emails/templates?success=' + encodeURIComponent(`${TEMPLATE_LABELS[key]} is back to the default text.`));
+        }
 
-            // Insert class information
-            const [classRes] = await trx('class_info').insert({ classinformation: special_requests, classdate: new Date() }).returning('classid');
-            const classId = classRes?.classid || classRes;
+        const subject = String(req.body.subject || '').trim();
+        const text = String(req.body.body_text || '').replace(/\r\n/g, '\n');
+        const html = String(req.body.body_html || '').replace(/\r\n/g, '\n');
 
-            // Insert child information
-            const [childRes] = await trx('child_info').insert({ childfirstname: first_name, childlastname: last_name, childage: age ? parseInt(age) : null, parentid: parentId, classid: classId }).returning('childid');
-            const childId = childRes?.childid || childRes;
+        const errors = {};
+        if (!subject) errors.subject = 'Subject is required.';
+        else if (subject.length > 200) errors.subject = 'Please keep the subject under 200 characters.';
+        if (isBlank(text)) errors.body_text = 'The plain-text version is required (some email apps only show this one).';
+        const unknown = unknownPlaceholders(subject, text, html);
+        if (unknown.length > 0) errors.placeholders = `Unknown placeholder${unknown.length === 1 ? '' : 's'}: ${unknown.map(n => `{{${n}}}`).join(', ')}. Please use one from the list.`;
 
-            // Insert registration with 'approved' status (auto-approved for admin additions)
-            await trx('registrations').insert({ 
-                first_name, 
-                last_name, 
-                email, 
-                phone, 
-                birthdate, 
-                child_id: childId, 
-                street_id: streetId, 
-                class_id: classId, 
-                Sessionid: selected_session ? parseInt(selected_session) : null,
-                created_at: new Date(),
-                status: 'approved'
+        if (hasErrors(errors)) {
+            const templates = await loadEmailTemplates();
+            // Show what was typed, not the saved version
+            const editing = templates.find(t => t.key === key);
+            Object.assign(editing, { subject, text, html });
+            return res.render('admin_email_templates', {
+                templates,
+                placeholders: PLACEHOLDERS,
+                preview: (t) => renderTemplate(t, SAMPLE_VALUES),
+                errors,
+                editingKey: key,
+                success_message: ''
             });
+        }
+
+        await db.transaction(async (trx) => {
+            await trx('email_templates')
+                .insert({ template_key: key, subject, body_text: text, body_html: isBlank(html) ? null : html, updated_by: req.session.user.username, updated_at: new Date() })
+                .onConflict('template_key')
+                .merge();
+            await recordAudit(trx, req, { action: 'email_template.edit', entityType: 'email_template', before: { template_key: key, subject: before.subject, text: before.text, html: before.html }, after: { template_key: key, subject, text, html: isBlank(html) ? null : html } });
         });
-        res.redirect('/admin');
+        res.redirect('/admin/emails/templates?success=' + encodeURIComponent(`${TEMPLATE_LABELS[key]} saved.`));
     } catch (err) {
-        console.error("Admin Add Error:", err);
-        res.send("Error adding record: " + err.message);
+        console.error("Email Template Save Error:", err);
+        res.redirect('/admin/emails/templates');
     }
 });
 
-// 3. UPDATE (Edit Existing Registration)
-// GET: Display form with existing registration data pre-filled
-app.get('/admin/edit/:id', async (req, res) => {
-    if (!req.session.user) return res.redirect('/login');
-    const regId = req.params.id;
+// --- ADMIN MESSAGE ROUTES (Announcements to Session, Season or Search Audiences) ---
+// Each family gets its own copy through the email queue, so the delivery log shows how every one went
+const MESSAGE_STATUSES = ['approved', 'pending', 'waitlisted', 'released', 'rejected', 'cancelled'];
+const DEFAULT_MESSAGE_STATUSES = ['approved', 'pending'];
+const MAX_MESSAGE_LENGTH = 10000;
+const MESSAGE_HISTORY_LIMIT = 100;
 
-    try {
-        // Fetch available sessions
-        let sessions = [];
-        if (dbConnected) {
-             sessions = await db('Sessions')
-                .leftJoin('registrations', 'Sessions.Sessionid', 'registrations.Sessionid')
-                .select('Sessions.*', db.raw("COUNT(CASE WHEN registrations.status != 'rejected' THEN 1 END) as enrolled_count"))
-                .groupBy('Sessions.Sessionid')
-                .orderBy('startdate', 'asc');
-        }
+// Helper function: Read the audience fields from the compose form (or the dashboard search link)
+function readMessageAudience(source) {
+    const statuses = [].concat(source.statuses || []).filter(s => MESSAGE_STATUSES.includes(s));
+    return {
+        sessionId: parseInt(source.session) || null,
+        season: SEASONS.includes(source.season) ? source.season : '',
+        statuses: statuses.length > 0 ? statuses : DEFAULT_MESSAGE_STATUSES,
+        search: String(source.search || '').trim()
+    };
+}
 
-        // Fetch the registration record with all related data
-        const record = await db('registrations')
-            .leftJoin('child_info', 'registrations.child_id', 'child_info.childid')
-            .leftJoin('street', 'registrations.street_id', 'street.addressid')
-            .leftJoin('class_info', 'registrations.class_id', 'class_info.classid')
-            .leftJoin('parent_info', 'child_info.parentid', 'parent_info.parentid')
-            .select(
-                'registrations.id as reg_id',
-                'registrations.first_name',
-                'registrations.last_name',
-                'registrations.email',
-                'registrations.phone',
-                'registrations.birthdate',
-                'registrations.Sessionid', 
-                'child_info.childage',
-                'child_info.childid',
-                'street.streetaddress',
-                'street.city',
-                'street.state',
-                'street.zipcode',
-                'street.addressid',
-                'parent_info.parentfirstname',
-                'parent_info.parentlastname',
-                'parent_info.parentid',
-                'parent_info.waiver',
-                'class_info.classinformation as special_requests',
-                'class_info.classid'
+// Helper function: Describe an audience in words, e.g. "Summer Session 1 - approved or pending"
+function describeMessageAudience(audience, sessions) {
+    const parts = [];
+    if (audience.sessionId) {
+        const session = sessions.find(s => s.Sessionid === audience.sessionId);
+        parts.push(session ? session.Sessionname : `Session #${audience.sessionId}`);
+    }
+    if (audience.season) parts.push(`${audience.season} season`);
+    if (parts.length === 0) parts.push('All sessions');
+    parts.push(audience.statuses.join(' or '));
+    if (audience.search) parts.push(`matching "${audience.search}"`);
+    return parts.join(' - ');
+}
+
+// Helper function: Join names as "Emma", "Emma and Noah" or "Emma, Noah and Lily"
+function joinNames(names) {
+    const unique = [...new Set(names.filter(n => n))];
+    if (unique.length <= 1) return unique[0] || '';
+    return `${unique.slice(0, -1).join(', ')} and ${unique[unique.length - 1]}`;
+}
+
+// Helper function: One recipient per email address for an audience, with the values for their copy
+// A family with several matching children gets one email naming them all
+async function findMessageRecipients(audience) {
+    const query = buildRegistrationSearch(audience.search)
+        .whereIn('registrations.status', audience.statuses)
+        .whereNotNull('registrations.email');
+    if (audience.sessionId) query.where('registrations.Sessionid', audience.sessionId);
+    if (audience.season) query.where('Sessions.season', audience.season);
+    const rows = await query;
+
+    const byEmail = new Map();
+    rows.forEach(r => {
+        const email = String(r.email).trim();
+        if (!email) return;
+        const key = email.toLowerCase();
+        if (!byEmail.has(key)) byEmail.set(key, { email, regIds: [], rows: [] });
+        const recipient = byEmail.get(key);
+        recipient.regIds.push(r.reg_id);
+        recipient.rows.push(r);
+    });
+
+    return [...byEmail.values()].map(({ email, regIds, rows: regs }) => {
+        const withSession = regs.filter(r => r.Sessionname);
+        return {
+            email,
+            regIds,
+            children: regs.map(r => `${r.first_name} ${r.last_name}`),
+            values: {
+                parent_first_name: regs[0].parentfirstname || '',
+                parent_last_name: regs[0].parentlastname || '',
+                child_first_name: joinNames(regs.map(r => r.first_name)),
+                child_last_name: joinNames(regs.map(r => r.last_name)),
+                session_name: joinNames(withSession.map(r => r.Sessionname)),
+                session_dates: joinNames(withSession.map(r => `${new Date(r.session_start).toLocaleDateString()} - ${new Date(r.session_end).toLocaleDateString()}`))
+            }
+        };
+    });
+}
+
+// Helper function: The subject and body as an email template; the HTML copy keeps the typed line breaks
+function messageTemplate(subject, body) {
+    return { subject, text: body, html: `<p>${escapeHtml(body).replace(/\n/g, '<br>')}</p>` };
+}
+
+// Helper function: Check the subject and body, including that every placeholder can be filled
+function validateMessage(subject, body) {
+    const errors = {};
+    if (!subject) errors.subject = 'Subject is required.';
+    else if (subject.length > 200) errors.subject = 'Please keep the subject under 200 characters.';
+    if (isBlank(body)) errors.body = 'Please write a message.';
+    else if (body.length > MAX_MESSAGE_LENGTH) errors.body = `Please keep the message under ${MAX_MESSAGE_LENGTH} characters.`;
+    const unknown = unknownMessagePlaceholders(subject, body);
+    if (unknown.length > 0) errors.placeholders = `Unknown placeholder${unknown.length === 1 ? '' : 's'}: ${unknown.map(n => `{{${n}}}`).join(', ')}. Please use one from the list.`;
+    return errors;
+}
+
+// Helper function: Render the compose page, with the recipient list and a sample copy once previewed
+async function renderMessageCompose(res, { audience, subject = '', body = '', errors = {}, recipients = null }) {
+    const sessions = await db('Sessions').select('Sessionid', 'Sessionname', 'season', 'startdate').whereNull('deleted_at').orderBy('startdate', 'desc');
+    res.render('admin_messages_compose', {
+        sessions,
+        seasons: SEASONS,
+        statuses: MESSAGE_STATUSES,
+        placeholders: MESSAGE_PLACEHOLDERS.reduce((all, name) => ({ ...all, [name]: PLACEHOLDERS[name] }), {}),
+        audience,
+        audienceLabel: describeMessageAudience(audience, sessions),
+        subject,
+        body,
+        errors,
+        recipients,
+        sample: recipients && recipients.length > 0 ? renderTemplate(messageTemplate(subject, body), recipients[0].values) : null
+    });
+}
+
+// GET: Announcements sent so far, with how many copies have gone out
+app.get('/admin/messages', ownerOrReadonly, async (req, res) => {
+    try {
+        const announcements = await db('announcements')
+            .leftJoin(
+                db('email_queue')
+                    .select('announcementid')
+                    .select(db.raw("COUNT(*) FILTER (WHERE status IN ('sent', 'logged')) as delivered_count"))
+                    .select(db.raw("COUNT(*) FILTER (WHERE status = 'failed') as failed_count"))
+                    .select(db.raw("COUNT(*) FILTER (WHERE status IN ('queued', 'sending')) as waiting_count"))
+                    .whereNotNull('announcementid')
+                    .groupBy('announcementid')
+                    .as('q'),
+                'announcements.announcementid', 'q.announcementid'
             )
-            .where('registrations.id', regId)
-            .first();
+            .select('announcements.*', 'q.delivered_count', 'q.failed_count', 'q.waiting_count')
+            .orderBy('announcements.sent_at', 'desc')
+            .limit(MESSAGE_HISTORY_LIMIT);
 
-        if (!record) return res.send("Record not found");
-        res.render('admin_edit', { record, sessions }); 
+        res.render('admin_messages', { announcements, limit: MESSAGE_HISTORY_LIMIT, success_message: req.query.success || '' });
     } catch (err) {
-        console.error("Edit Fetch Error:", err);
+        console.error("Messages Fetch Error:", err);
         res.redirect('/admin');
     }
 });
 
-// POST: Process updates to existing registration
-// Updates parent info, address, child info, and registration details
-app.post('/admin/edit/:id', async (req, res) => {
-    if (!req.session.user) return res.redirect('/login');
-    const regId = req.params.id;
-    const { first_name, last_name, birthdate, age, parent_first_name, parent_last_name, email, phone, street_address, city, state, zipcode, special_requests, child_id, parent_id, address_id, class_id, selected_session, agree } = req.body;
-
+// GET: Compose an announcement; the dashboard's Mass Email button passes its current search
+app.get('/admin/messages/new', ownerOnly, async (req, res) => {
     try {
-        // Update each table if the corresponding ID is provided
-        await db.transaction(async (trx) => {
-            // Update parent information
-            if (parent_id) {
-                await trx('parent_info').where('parentid', parent_id).update({ 
-                    parentfirstname: parent_first_name, 
-                    parentlastname: parent_last_name, 
-                    email: email, 
-                    cellphone: phone,
-                    waiver: agree ? 'Y' : 'N'
-                });
-            }
-            // Update address
-            if (address_id) {
-                await trx('street').where('addressid', address_id).update({ streetaddress: street_address, city: city, state: state, zipcode: zipcode });
-            }
-            // Update class information (special requests)
-            if (class_id) {
-                await trx('class_info').where('classid', class_id).update({ classinformation: special_requests });
-            }
-            // Update child information
-            if (child_id) {
-                await trx('child_info').where('childid', child_id).update({ childfirstname: first_name, childlastname: last_name, childage: age });
-            }
-            // Update main registration record
-            await trx('registrations').where('id', regId).update({ 
-                first_name, 
-                last_name, 
-                email, 
-                phone, 
-                birthdate,
-                Sessionid: selected_session ? parseInt(selected_session) : null
-            });
-        });
-        res.redirect('/admin');
+        await renderMessageCompose(res, { audience: readMessageAudience(req.query) });
     } catch (err) {
-        console.error("Update Error:", err);
-        res.send("Error updating record");
+        console.error("Message Compose Error:", err);
+        res.redirect('/admin/messages');
     }
 });
 
-// 4. DELETE - Remove a registration and related data
-app.post('/admin/delete/:id', async (req, res) => {
-    if (!req.session.user) return res.redirect('/login');
-    const regId = req.params.id;
+// POST: Show who the announcement would go to and how the first family's copy would read
+app.post('/admin/messages/preview', ownerOnly, async (req, res) => {
+    const audience = readMessageAudience(req.body);
+    const subject = String(req.body.subject || '').trim();
+    const body = String(req.body.body || '').replace(/\r\n/g, '\n');
 
     try {
-        // Delete the registration record (cascade delete handles related data)
-        await db('registrations').where('id', regId).del();
-        res.redirect('/admin');
+        const errors = validateMessage(subject, body);
+        const recipients = hasErrors(errors) ? null : await findMessageRecipients(audience);
+        if (recipients && recipients.length === 0) errors.audience = 'No families match this audience. Please widen it.';
+        await renderMessageCompose(res, { audience, subject, body, errors, recipients: hasErrors(errors) ? null : recipients });
     } catch (err) {
-        console.error("Delete Error:", err);
-        res.redirect('/admin');
+        console.error("Message Preview Error:", err);
+        res.redirect('/admin/messages');
     }
 });
 
-// --- ADMIN SCHEDULE ROUTES (Manage Camp Sessions) ---
+// POST: Queue one personalized copy per family and record the announcement
+// The recipients are looked up again, so the count confirmed on the preview must still match
+app.post('/admin/messages/send', ownerOnly, async (req, res) => {
+    const audience = readMessageAudience(req.body);
+    const subject = String(req.body.subject || '').trim();
+    const body = String(req.body.body || '').replace(/\r\n/g, '\n');
 
-// A. GET: Display form to add new session
-app.get('/admin/schedule/add', (req, res) => {
-    if (!req.session.user) return res.redirect('/login');
-    res.render('admin_schedule_add');
-});
+    try {
+        const errors = validateMessage(subject, body);
+        if (hasErrors(errors)) return await renderMessageCompose(res, { audience, subject, body, errors });
 
-// B. POST: Create new session in the database
-// Sessions define the camps available for registration
-app.post('/admin/schedule/add', async (req, res) => {
-    if (!req.session.user) return res.redirect('/login');
-    const { Sessionname, Sessiondesc, startdate, enddate, starttime, endtime, numseats, season } = req.body;
+        const recipients = await findMessageRecipients(audience);
+        if (recipients.length === 0) {
+            return await renderMessageCompose(res, { audience, subject, body, errors: { audience: 'No families match this audience. Please widen it.' } });
+        }
+        if (parseInt(req.body.confirmed_count) !== recipients.length || req.body.confirmed_audience !== JSON.stringify(audience)) {
+            return await renderMessageCompose(res, { audience, subject, body, recipients, errors: { audience: 'The recipients have changed since the preview. Please check the list below and send again.' } });
+        }
 
-    try {
-        // Insert new session record
-        await db('Sessions').insert({
-            Sessionname,
-            Sessiondesc,
-            startdate,
-            enddate,
-            starttime,
-            endtime,
-            numseats: numseats ? parseInt(numseats) : null,
-            season: season || 'Summer'
+        const sessions = await db('Sessions').select('Sessionid', 'Sessionname');
+        const audienceLabel = describeMessageAudience(audience, sessions);
+        const template = messageTemplate(subject, body);
+
+        const announcementId = await db.transaction(async (trx) => {
+            const [row] = await trx('announcements').insert({
+                subject,
+                body,
+                audience: JSON.stringify(audience),
+                audience_label: audienceLabel.slice(0, 500),
+                recipient_count: recipients.length,
+                sent_by: req.session.user.username
+            }).returning('announcementid');
+            const id = row?.announcementid || row;
+
+            for (const recipient of recipients) {
+                await queueEmail(trx, { to: recipient.email, ...renderTemplate(template, recipient.values), regId: recipient.regIds.length === 1 ? recipient.regIds[0] : null, announcementId: id });
+            }
+            await recordAudit(trx, req, { action: 'announcement.send', entityType: 'announcement', entityId: id, sessionId: audience.sessionId, after: { subject, audience: audienceLabel, recipient_count: recipients.length } });
+            return id;
         });
-        res.redirect('/campschedule');
+
+        res.redirect(`/admin/messages/${announcementId}?success=` + encodeURIComponent(`Announcement queued for ${recipients.length} famil${recipients.length === 1 ? 'y' : 'ies'}.`));
     } catch (err) {
-        console.error("Error adding session:", err);
-        res.send("Error adding session: " + err.message);
+        console.error("Message Send Error:", err);
+        res.redirect('/admin/messages');
     }
 });
 
-// C. GET: Display form to edit existing session
-// Fetches session details and pre-populates the form
-app.get('/admin/schedule/edit/:id', async (req, res) => {
-    if (!req.session.user) return res.redirect('/login');
-    const sessionId = req.params.id;
-
+// GET: One announcement with the delivery status of each family's copy
+app.get('/admin/messages/:id', ownerOrReadonly, async (req, res) => {
     try {
-        // Fetch the session record by ID
-        const session = await db('Sessions').where('Sessionid', sessionId).first();
-        if (!session) return res.send("Session not found");
-        res.render('admin_schedule_edit', { session });
+        const announcement = await db('announcements').where('announcementid', parseInt(req.params.id) || 0).first();
+        if (!announcement) return res.redirect('/admin/messages');
+
+        const emails = await db('email_queue')
+            .select('emailid', 'to_address', 'subject', 'status', 'attempts', 'last_error', 'sent_at', 'reg_id')
+            .where('announcementid', announcement.announcementid)
+            .orderBy('to_address', 'asc');
+
+        res.render('admin_message', { announcement, emails, success_message: req.query.success || '' });
     } catch (err) {
-        console.error("Error fetching session for edit:", err);
-        res.redirect('/campschedule');
+        console.error("Message Fetch Error:", err);
+        res.redirect('/admin/messages');
     }
 });
 
-// D. POST: Update existing session
-// Modifies session details like name, dates, times, and capacity
-app.post('/admin/schedule/edit/:id', async (req, res) => {
-    if (!req.session.user) return res.redirect('/login');
-    const sessionId = req.params.id;
-    const { Sessionname, Sessiondesc, startdate, enddate, starttime, endtime, numseats, season } = req.body;
+// --- ADMIN AUDIT LOG ROUTES (Change History) ---
+const AUDIT_PAGE_SIZE = 100;
+const AUDIT_ENTITY_TYPES = ['registration', 'session', 'payment', 'request', 'waiver', 'account', 'email_template', 'setting', 'announcement', 'attendance', 'project', 'schema'];
+
+// Helper function: List the fields that differ between an entry's before and after values
+function auditChanges(entry) {
+    const before = entry.before_data || {};
+    const after = entry.after_data || {};
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return fields
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+// GET: Audit log - newest changes first, filtered by registration, session, person, type or date
+app.get('/admin/audit', ownerOrReadonly, async (req, res) => {
+    const filters = {
+        reg: req.query.reg || '',
+        session: req.query.session || '',
+        actor: req.query.actor || '',
+        type: AUDIT_ENTITY_TYPES.includes(req.query.type) ? req.query.type : '',
+        from: req.query.from || '',
+        to: req.query.to || ''
+    };
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
 
     try {
-        // Update the session record with new information
-        await db('Sessions').where('Sessionid', sessionId).update({
-            Sessionname,
-            Sessiondesc,
-            startdate,
-            enddate,
-            starttime,
-            endtime,
-            numseats: numseats ? parseInt(numseats) : null,
-            season: season || 'Summer'
-        });
-        res.redirect('/campschedule');
+        const query = db('audit_log');
+        if (parseInt(filters.reg)) query.where('reg_id', parseInt(filters.reg));
+        if (parseInt(filters.session)) query.where('session_id', parseInt(filters.session));
+        if (filters.actor) query.where('actor', filters.actor);
+        if (filters.type) query.where('entity_type', filters.type);
+        if (parseDate(filters.from)) query.where('created_at', '>=', parseDate(filters.from));
+        if (parseDate(filters.to)) query.where('created_at', '<', new Date(parseDate(filters.to).getTime() + 24 * 60 * 60 * 1000));
+
+        // One extra row tells us whether there is a next page
+        const rows = await query.orderBy('created_at', 'desc').orderBy('auditid', 'desc').limit(AUDIT_PAGE_SIZE + 1).offset((page - 1) * AUDIT_PAGE_SIZE);
+        const hasMore = rows.length > AUDIT_PAGE_SIZE;
+        const entries = rows.slice(0, AUDIT_PAGE_SIZE);
+        entries.forEach(e => { e.changes = auditChanges(e); });
+
+        const actors = await db('audit_log').distinct('actor').orderBy('actor', 'asc').pluck('actor');
+        const sessions = await db('Sessions').select('Sessionid', 'Sessionname', 'startdate', 'enddate').orderBy('startdate', 'desc');
+
+        // Name what is being filtered on (a deleted registration or session is named from its last log entry)
+        let heading = '';
+        if (parseInt(filters.reg)) {
+            const reg = await db('registrations').where('id', parseInt(filters.reg)).first('first_name', 'last_name');
+            heading = reg ? `${reg.first_name} ${reg.last_name}` : `Registration #${filters.reg} (deleted)`;
+        } else if (parseInt(filters.session)) {
+            const session = sessions.find(s => s.Sessionid === parseInt(filters.session));
+            heading = session ? formatSessionStr(session) : `Session #${filters.session} (deleted)`;
+        }
+
+        res.render('admin_audit', { entries, filters, page, hasMore, actors, sessions, entityTypes: AUDIT_ENTITY_TYPES, heading });
     } catch (err) {
-        console.error("Error updating session:", err);
-        res.send("Error updating session: " + err.message);
+        console.error("Audit Log Error:", err);
+        res.redirect('/admin');
     }
 });
 
-// E. POST: Delete session from database
-// Removes session and associated registrations may be affected
-app.post('/admin/schedule/delete/:id', async (req, res) => {
-    if (!req.session.user) return res.redirect('/login');
-    const sessionId = req.params.id;
+// --- BACKGROUND JOBS ---
+// Unpaid pending registrations are always flagged on the dashboard.
+// Set AUTO_RELEASE_UNPAID=true to also release them automatically every hour.
+if (process.env.AUTO_RELEASE_UNPAID === 'true') {
+    setInterval(() => {
+        if (!dbConnected) return;
+        releaseOverdueRegistrations().catch((err) => console.error("Auto-release error:", err));
+    }, 60 * 60 * 1000);
+}
 
+// Queue any scheduled reminders that are due every hour (unless turned off on the Reminders page)
+setInterval(async () => {
+    if (!dbConnected) return;
     try {
-        // Delete the session record
-        await db('Sessions').where('Sessionid', sessionId).del();
-        res.redirect('/campschedule');
+        const settings = await getReminderSettings();
+        if (!settings.enabled) return;
+        const queued = await runScheduledReminders();
+        if (queued > 0) console.log(`Queued ${queued} scheduled reminder(s).`);
     } catch (err) {
-        console.error("Error deleting session:", err);
-        res.send("Error deleting session (it might be linked to registrations): " + err.message);
+        console.error("Scheduled reminder error:", err);
     }
-});
+}, 60 * 60 * 1000);
+
+// Send queued emails every minute (this also picks up retries once their delay has passed)
+setInterval(() => {
+    processEmailQueue().catch((err) => console.error("Email queue error:", err));
+}, 60 * 1000);
 
 // --- SERVER STARTUP ---
 // Start the Express server on the configured port
@@ -0,0 +1,190 @@
+//Garrett Safsten, Will Knudson, Willard Richards, and Logan Johnson
+// This is the email templates sent to parents, with the placeholders they can use.
+// Admins can edit each template from the admin area; these defaults are used until they do.
+// Placeholders are written {{name}} and filled from the registration, parent and session.
+
+// Templates in the order they are listed on the admin templates page
+const TEMPLATE_KEYS = ['registration_received', 'registration_waitlisted', 'registration_approved', 'registration_rejected', 'payment_reminder', 'camp_reminder', 'absence_notice', 'registration_transferred', 'registration_cancelled'];
+const TEMPLATE_LABELS = {
+    registration_received: 'Registration Received',
+    registration_waitlisted: 'Added to Waitlist',
+    registration_approved: 'Registration Approved',
+    registration_rejected: 'Registration Rejected',
+    payment_reminder: 'Payment Reminder',
+    camp_reminder: 'Camp Starts Soon',
+    absence_notice: 'Marked Absent',
+    registration_transferred: 'Moved to Another Session',
+    registration_cancelled: 'Registration Cancelled'
+};
+
+// Templates sent with the session's supply list attached (when it has one)
+const SUPPLY_LIST_TEMPLATES = ['registration_approved', 'camp_reminder'];
+
+// Templates sent with the child's session days attached as a calendar (.ics) file
+const CALENDAR_TEMPLATES = ['registration_approved'];
+
+// Placeholders any template can use, with a description shown to admins
+const PLACEHOLDERS = {
+    parent_first_name: 'Parent first name',
+    parent_last_name: 'Parent last name',
+    child_first_name: 'Child first name',
+    child_last_name: 'Child last name',
+    session_name: 'Session name',
+    session_dates: 'Session dates, e.g. 6/9/2025 - 6/13/2025',
+    session_times: 'Session times, e.g. 9:00AM and 12:00PM',
+    amount_due: 'Amount due for this child',
+    balance_due: 'Amount still owed after payments',
+    waitlist_position: 'Place on the waitlist',
+    payment_deadline_days: 'Days allowed to pay',
+    days_until_camp: 'Days until the session starts',
+    supply_list_note: 'A line saying the supply list is attached (blank if the session has none)',
+    attendance_date: 'The day the child was marked absent (absence email)',
+    previous_session: 'The session the child was moved out of, with its dates (session change email)',
+    transfer_note: 'Whether the child has a spot in the new session or is on its waitlist (session change email)',
+    refund_amount: 'Amount refunded (cancellation email)',
+    refund_note: 'A line about the refund under the cancellation policy (cancellation email)',
+    children_list: 'Every child in the registration with their session (received email)',
+    total_due: 'Total due for the whole registration (received email)'
+};
+
+// Placeholders an announcement can use; one copy goes to each family, so child and session
+// values list every matching child, e.g. "Emma and Noah"
+const MESSAGE_PLACEHOLDERS = ['parent_first_name', 'parent_last_name', 'child_first_name', 'child_last_name', 'session_name', 'session_dates'];
+
+// Sample values for previewing a template
+const SAMPLE_VALUES = {
+    parent_first_name: 'Jane',
+    parent_last_name: 'Smith',
+    child_first_name: 'Emma',
+    child_last_name: 'Smith',
+    session_name: 'Summer Session 1',
+    session_dates: '6/9/2025 - 6/13/2025',
+    session_times: '9:00AM and 12:00PM',
+    amount_due: '$125.00',
+    balance_due: '$75.00',
+    waitlist_position: '2',
+    payment_deadline_days: '7',
+    days_until_camp: '7',
+    supply_list_note: 'The supply list for this session is attached.',
+    attendance_date: '6/10/2025',
+    previous_session: 'Summer Session 2 (6/16/2025 - 6/20/2025)',
+    transfer_note: 'Your spot is saved.',
+    refund_amount: '$62.50',
+    refund_note: 'A refund of $62.50 of the $125.00 you paid is on its way (the cancellation was 10 days before the session starts).',
+    children_list: '- Emma Smith: Summer Session 1 (6/9/2025 - 6/13/2025) - amount due $125.00.\n- Noah Smith: Summer Session 1 (6/9/2025 - 6/13/2025) - amount due $115.00.',
+    total_due: '$240.00'
+};
+
+const DEFAULT_TEMPLATES = {
+    registration_received: {
+        subject: 'Registration Received - Sewing Camp',
+        text: 'Hello! {{parent_first_name}} {{parent_last_name}} we are so excited for your family to join us! We will let you know when payment has been recieved and we will reserve these spots:\n\n{{children_list}}\n\nTotal due: {{total_due}}, payable within {{payment_deadline_days}} days.',
+        html: '<p>Hello {{parent_first_name}} {{parent_last_name}}!</p>\n<p>We are so excited for your family to join us! We will let you know when payment has been received and we will reserve these spots:</p>\n<p>{{children_list}}</p>\n<p><strong>Total due: {{total_due}}</strong>, payable within {{payment_deadline_days}} days.</p>'
+    },
+    registration_waitlisted: {
+        subject: 'Added to the Waitlist - Sewing Camp',
+        text: 'Hello {{parent_first_name}} {{parent_last_name}}, {{session_name}} ({{session_dates}}) is currently full, so {{child_first_name}} {{child_last_name}} is on the waitlist at position #{{waitlist_position}}. We will email you right away if a spot opens up. The amount due would be {{amount_due}}.',
+        html: '<p>Hello {{parent_first_name}} {{parent_last_name}},</p>\n<p>{{session_name}} ({{session_dates}}) is currently full, so {{child_first_name}} {{child_last_name}} is on the waitlist at <strong>position #{{waitlist_position}}</strong>.</p>\n<p>We will email you right away if a spot opens up. The amount due would be {{amount_due}}.</p>'
+    },
+    registration_approved: {
+        subject: 'Registration Approved - Sewing Camp',
+        text: 'Hello {{parent_first_name}} {{parent_last_name}} we are so excited for {{child_first_name}} {{child_last_name}} to join us for {{session_name}} on {{session_dates}} from {{session_times}}! Your spot is reserved and if you have any questions or concerns feel free to send us as Email or text! {{supply_list_note}}',
+        html: '<p>Hello {{parent_first_name}} {{parent_last_name}},</p>\n<p>We are so excited for {{child_first_name}} {{child_last_name}} to join us for <strong>{{session_name}}</strong> on {{session_dates}} from {{session_times}}!</p>\n<p>Your spot is reserved. If you have any questions or concerns feel free to send us an email or text!</p>\n<p>{{supply_list_note}}</p>'
+    },
+    registration_rejected: {
+        subject: 'Registration Update - Sewing Camp',
+        text: 'Hello {{parent_first_name}} {{parent_last_name}}, we are sorry, but we are unable to offer {{child_first_name}} {{child_last_name}} a place in {{session_name}} ({{session_dates}}). Any payment you made will be refunded. Please contact us with any questions, or register for another session.',
+        html: '<p>Hello {{parent_first_name}} {{parent_last_name}},</p>\n<p>We are sorry, but we are unable to offer {{child_first_name}} {{child_last_name}} a place in {{session_name}} ({{session_dates}}). Any payment you made will be refunded.</p>\n<p>Please contact us with any questions, or register for another session.</p>'
+    },
+    payment_reminder: {
+        subject: 'Payment Reminder - Sewing Camp',
+        text: 'Hello {{parent_first_name}} {{parent_last_name}}, this is a friendly reminder that {{balance_due}} is still due for {{child_first_name}} {{child_last_name}} in {{session_name}} ({{session_dates}}). Payment is due within {{payment_deadline_days}} days of registering, or the spot may be released to the waitlist.',
+        html: '<p>Hello {{parent_first_name}} {{parent_last_name}},</p>\n<p>This is a friendly reminder that <strong>{{balance_due}}</strong> is still due for {{child_first_name}} {{child_last_name}} in {{session_name}} ({{session_dates}}).</p>\n<p>Payment is due within {{payment_deadline_days}} days of registering, or the spot may be released to the waitlist.</p>'
+    },
+    camp_reminder: {
+        subject: 'Camp Starts Soon - Sewing Camp',
+        text: 'Hello {{parent_first_name}} {{parent_last_name}}, {{session_name}} starts in {{days_until_camp}} days! We will see {{child_first_name}} on {{session_dates}} from {{session_times}}. {{supply_list_note}} Please bring fabric, thread and notions for each project. If you have any questions feel free to send us an email or text!',
+        html: '<p>Hello {{parent_first_name}} {{parent_last_name}},</p>\n<p><strong>{{session_name}}</strong> starts in {{days_until_camp}} days! We will see {{child_first_name}} on {{session_dates}} from {{session_times}}.</p>\n<p>{{supply_list_note}} Please bring fabric, thread and notions for each project.</p>\n<p>If you have any questions feel free to send us an email or text!</p>'
+    },
+    absence_notice: {
+        subject: 'Absent Today - Sewing Camp',
+        text: 'Hello {{parent_first_name}} {{parent_last_name}}, {{child_first_name}} {{child_last_name}} was marked absent from {{session_name}} on {{attendance_date}}. If you were not expecting this, please contact us right away by email or text.',
+        html: '<p>Hello {{parent_first_name}} {{parent_last_name}},</p>\n<p>{{child_first_name}} {{child_last_name}} was marked <strong>absent</strong> from {{session_name}} on {{attendance_date}}.</p>\n<p>If you were not expecting this, please contact us right away by email or text.</p>'
+    },
+    registration_transferred: {
+        subject: 'Session Changed - Sewing Camp',
+        text: 'Hello {{parent_first_name}} {{parent_last_name}}, {{child_first_name}} {{child_last_name}} has been moved from {{previous_session}} to {{session_name}}, which meets {{session_dates}} from {{session_times}}. {{transfer_note}} Any payment you have made stays with the registration. Please contact us if this does not work for your family.',
+        html: '<p>Hello {{parent_first_name}} {{parent_last_name}},</p>\n<p>{{child_first_name}} {{child_last_name}} has been moved from {{previous_session}} to <strong>{{session_name}}</strong>, which meets {{session_dates}} from {{session_times}}.</p>\n<p>{{transfer_note}} Any payment you have made stays with the registration.</p>\n<p>Please contact us if this does not work for your family.</p>'
+    },
+    registration_cancelled: {
+        subject: 'Registration Cancelled - Sewing Camp',
+        text: 'Hello {{parent_first_name}} {{parent_last_name}}, {{child_first_name}} {{child_last_name}}\'s registration for {{session_name}} ({{session_dates}}) has been cancelled. {{refund_note}} Please contact us with any questions, or register for another session.',
+        html: '<p>Hello {{parent_first_name}} {{parent_last_name}},</p>\n<p>{{child_first_name}} {{child_last_name}}\'s registration for <strong>{{session_name}}</strong> ({{session_dates}}) has been cancelled.</p>\n<p>{{refund_note}}</p>\n<p>Please contact us with any questions, or register for another session.</p>'
+    }
+};
+
+// Helper function: Escape text for use inside HTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Helper function: Replace each {{placeholder}} with its value (blank when there is none)
+// `format` is applied to each value, e.g. escaping it for the HTML body
+function fillPlaceholders(template, values, format = (v) => v) {
+    return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        const value = values[name];
+        return value === undefined || value === null ? '' : format(String(value));
+    });
+}
+
+// Fill a template ({ subject, text, html }) with the given values
+// Values are escaped in the HTML body, where line breaks become <br>
+function renderTemplate(template, values) {
+    return {
+        subject: fillPlaceholders(template.subject, values).replace(/[\r\n]+/g, ' '),
+        text: fillPlaceholders(template.text, values),
+        html: template.html ? fillPlaceholders(template.html, values, (v) => escapeHtml(v).replace(/\n/g, '<br>')) : null
+    };
+}
+
+// Helper function: Find any {{placeholder}} in the given text that is not in `allowed`
+function placeholdersNotIn(allowed, parts) {
+    const found = new Set();
+    parts.forEach(part => {
+        String(part || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+            if (!allowed.includes(name)) found.add(name);
+            return match;
+        });
+    });
+    return [...found];
+}
+
+// Find any {{placeholder}} in a template that is not in the list above
+function unknownPlaceholders(...parts) {
+    return placeholdersNotIn(Object.keys(PLACEHOLDERS), parts);
+}
+
+// Find any {{placeholder}} in an announcement that cannot be filled for a family
+function unknownMessagePlaceholders(...parts) {
+    return placeholdersNotIn(MESSAGE_PLACEHOLDERS, parts);
+}
+
+module.exports = {
+    TEMPLATE_KEYS,
+    TEMPLATE_LABELS,
+    SUPPLY_LIST_TEMPLATES,
+    CALENDAR_TEMPLATES,
+    PLACEHOLDERS,
+    MESSAGE_PLACEHOLDERS,
+    SAMPLE_VALUES,
+    DEFAULT_TEMPLATES,
+    escapeHtml,
+    renderTemplate,
+    unknownPlaceholders,
+    unknownMessagePlaceholders
+};
@@ -0,0 +1,79 @@
+//Garrett Safsten, Will Knudson, Willard Richards, and Logan Johnson
+// This is the iCalendar (.ics) builder for the session calendar feeds and the approval email attachment.
+// Each day a session meets is its own event, at the session's times in the camp's local time
+// (CAMP_TIMEZONE, e.g. America/Denver, tells calendar apps which zone that is).
+
+const CAMP_TIMEZONE = process.env.CAMP_TIMEZONE || '';
+const PRODUCT_ID = '-//Sewing Made Simple//Camp Sessions//EN';
+
+// Helper function: Escape text for an iCalendar value (backslash, semicolon, comma and newlines)
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Helper function: Fold a line to 75 characters as the format requires (continuation lines start with a space)
+function foldLine(line) {
+    const parts = [];
+    let rest = line;
+    while (rest.length > 75) {
+        parts.push(rest.slice(0, 75));
+        rest = ' ' + rest.slice(75);
+    }
+    parts.push(rest);
+    return parts.join('\r\n');
+}
+
+// Helper function: A YYYY-MM-DD day and HH:MM(:SS) time as a local date-time, e.g. 20250609T090000
+function formatLocal(day, time) {
+    const [h = '00', m = '00', s = '00'] = String(time || '00:00').split(':');
+    return `${day.replace(/-/g, '')}T${h.padStart(2, '0')}${m.padStart(2, '0')}${s.slice(0, 2).padStart(2, '0')}`;
+}
+
+// Helper function: A timestamp in UTC, e.g. 20250609T150000Z
+function formatUtc(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// One event per session day
+// `days` is the session's meeting days as YYYY-MM-DD (see sessionDays in app.js)
+// `uid` identifies the session (and registration) so updated feeds replace the same events
+function sessionEvents(session, days, { uid, summary, description = '', url = '' }) {
+    const stamp = formatUtc(new Date());
+    return days.map(day => [
+        'BEGIN:VEVENT',
+        `UID:${uid}-${day.replace(/-/g, '')}@sewingmadesimple`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatLocal(day, session.starttime)}`,
+        `DTEND:${formatLocal(day, session.endtime)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        description ? `DESCRIPTION:${escapeText(description)}` : null,
+        url ? `URL:${url}` : null,
+        'END:VEVENT'
+    ].filter(line => line));
+}
+
+// Build a calendar from a list of events, each a list of lines (as sessionEvents returns)
+function buildCalendar(name, events) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        CAMP_TIMEZONE ? `X-WR-TIMEZONE:${CAMP_TIMEZONE}` : null,
+        ...events.flat(),
+        'END:VCALENDAR'
+    ].filter(line => line);
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    escapeText,
+    sessionEvents,
+    buildCalendar
+};
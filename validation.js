@@ -0,0 +1,271 @@
+//Garrett Safsten, Will Knudson, Willard Richards, and Logan Johnson
+// This is the shared server-side validation for the registration and session forms.
+// Each validator returns an errors object keyed by the form field name (e.g. 'email' or
+// 'children[0][first_name]') so the views can show each message next to its field.
+
+// Seasons offered in the session and registration dropdowns
+const SEASONS = ['Valentine', 'Easter', 'Summer', 'Halloween', 'Christmas'];
+
+// Camper age limits (inclusive), overridable from the environment
+const MIN_CAMPER_AGE = parseInt(process.env.MIN_CAMPER_AGE || 6);
+const MAX_CAMPER_AGE = parseInt(process.env.MAX_CAMPER_AGE || 17);
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ZIP_RE = /^\d{5}(-\d{4})?$/;
+const STATE_RE = /^[A-Z]{2}$/;
+const TIME_RE = /^\d{2}:\d{2}(:\d{2})?$/;
+
+// Drawn signatures arrive as a PNG data URL from the signature pad
+const SIGNATURE_TYPES = ['typed', 'drawn'];
+const DRAWN_SIGNATURE_RE = /^data:image\/png;base64,[A-Za-z0-9+/=]+$/;
+const MAX_DRAWN_SIGNATURE_LENGTH = 200000;
+
+// Campers make up to this many projects in a session week
+const MAX_PROJECTS_PER_CHILD = 4;
+
+// Longest allergy/medication/condition note accepted per child
+const MAX_MEDICAL_NOTE_LENGTH = 1000;
+
+// Helper function: Check if a value is blank (missing or only whitespace)
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Helper function: Format a phone number as 123-456-7890, or null if it is not 10 digits
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (digits.length !== 10) return null;
+    return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+// Helper function: Parse a YYYY-MM-DD form date, or null if it is not a real date
+function parseDate(value) {
+    if (isBlank(value) || !/^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) return null;
+    const [year, month, day] = String(value).trim().split('-').map(Number);
+    const date = new Date(`${String(value).trim()}T00:00:00`);
+    // Date rolls impossible days forward (2025-02-31 becomes 3 March), so the parts must come back unchanged
+    if (isNaN(date) || date.getFullYear() !== year || date.getMonth() + 1 !== month || date.getDate() !== day) return null;
+    return date;
+}
+
+// Helper function: Age in whole years on a given date (same rule as the register form script)
+function ageFromBirthdate(birthdate, asOf = new Date()) {
+    let age = asOf.getFullYear() - birthdate.getFullYear();
+    const m = asOf.getMonth() - birthdate.getMonth();
+    if (m < 0 || (m === 0 && asOf.getDate() < birthdate.getDate())) age--;
+    return age;
+}
+
+// Helper function: Check if an errors object has any messages
+function hasErrors(errors) {
+    return Object.keys(errors).length > 0;
+}
+
+// Validate the parent, contact and address fields shared by every registration form
+function validateParent(body, errors = {}) {
+    if (isBlank(body.parent_first_name)) errors.parent_first_name = 'Parent first name is required.';
+    if (isBlank(body.parent_last_name)) errors.parent_last_name = 'Parent last name is required.';
+
+    if (isBlank(body.email)) errors.email = 'Email is required.';
+    else if (!EMAIL_RE.test(String(body.email).trim())) errors.email = 'Please enter a valid email address.';
+
+    if (!normalizePhone(body.phone)) errors.phone = 'Please enter a valid 10-digit phone number.';
+
+    if (isBlank(body.street_address)) errors.street_address = 'Street address is required.';
+    if (isBlank(body.city)) errors.city = 'City is required.';
+    if (!STATE_RE.test(String(body.state || '').trim().toUpperCase())) errors.state = 'Please choose a state.';
+
+    if (isBlank(body.zipcode)) errors.zipcode = 'Zip code is required.';
+    else if (!ZIP_RE.test(String(body.zipcode).trim())) errors.zipcode = 'Please enter a 5-digit zip code (or ZIP+4).';
+
+    return errors;
+}
+
+// Validate one child's name and birthdate (including the camp's age limits) and medical details
+// `prefix` is the form name prefix, e.g. 'children[0]' (or '' for single-child forms)
+// requireEmergencyContact: parents must give one; admins may leave it blank on older records
+// checkAgeLimits: off for historical records, where the child has since aged past the limits
+function validateChild(child, prefix = '', errors = {}, options = {}) {
+    const { requireEmergencyContact = true, checkAgeLimits = true } = options;
+    const key = (field) => (prefix ? `${prefix}[${field}]` : field);
+
+    if (isBlank(child.first_name)) errors[key('first_name')] = 'Child first name is required.';
+    if (isBlank(child.last_name)) errors[key('last_name')] = 'Child last name is required.';
+
+    const birthdate = parseDate(child.birthdate);
+    if (!birthdate) {
+        errors[key('birthdate')] = 'Please enter a valid birthdate.';
+    } else if (birthdate > new Date()) {
+        errors[key('birthdate')] = 'Birthdate cannot be in the future.';
+    } else if (checkAgeLimits) {
+        const age = ageFromBirthdate(birthdate);
+        if (age < MIN_CAMPER_AGE || age > MAX_CAMPER_AGE) {
+            errors[key('birthdate')] = `Campers must be between ${MIN_CAMPER_AGE} and ${MAX_CAMPER_AGE} years old.`;
+        }
+    }
+
+    ['allergies', 'medications', 'medical_conditions'].forEach(field => {
+        if (String(child[field] || '').length > MAX_MEDICAL_NOTE_LENGTH) {
+            errors[key(field)] = `Please keep this under ${MAX_MEDICAL_NOTE_LENGTH} characters.`;
+        }
+    });
+
+    // Emergency contact - someone other than the parent we can reach during camp
+    const hasContact = !isBlank(child.emergency_name) || !isBlank(child.emergency_relation) || !isBlank(child.emergency_phone);
+    if (requireEmergencyContact || hasContact) {
+        if (isBlank(child.emergency_name)) errors[key('emergency_name')] = 'Emergency contact name is required.';
+        if (isBlank(child.emergency_relation)) errors[key('emergency_relation')] = 'Please say how they are related to the child.';
+        if (!normalizePhone(child.emergency_phone)) errors[key('emergency_phone')] = 'Please enter a valid 10-digit phone number.';
+    }
+
+    return errors;
+}
+
+// Validate a session choice against the sessions list (rows from getSessionsWithCounts)
+// allowWaitlist: a full session is accepted (the child is waitlisted) instead of refused
+// currentSessionId: the registration's existing session, which never counts as full for it
+function validateSessionChoice(sessionId, sessions, field, errors = {}, options = {}) {
+    const { allowWaitlist = false, currentSessionId = null } = options;
+
+    if (isBlank(sessionId)) {
+        errors[field] = 'Please choose a session.';
+        return errors;
+    }
+
+    const session = sessions.find(s => String(s.Sessionid) === String(sessionId));
+    if (!session) {
+        errors[field] = 'That session does not exist. Please choose another.';
+        return errors;
+    }
+
+    const isCurrent = currentSessionId !== null && String(currentSessionId) === String(sessionId);
+    const enrolled = parseInt(session.enrolled_count || 0);
+    const full = session.numseats !== null && session.numseats !== undefined && enrolled >= session.numseats;
+    if (full && !isCurrent && !allowWaitlist) {
+        errors[field] = `${session.Sessionname} is full (${enrolled}/${session.numseats}). Please choose another session.`;
+    }
+
+    return errors;
+}
+
+// Validate a child's project choices against the projects their session offers
+// Only checked when the session (from attachSessionProjects) offers at least one project
+function validateProjectChoices(projectIds, session, field, errors = {}) {
+    if (!session || !Array.isArray(session.projects) || session.projects.length === 0) return errors;
+
+    const chosen = [...new Set([].concat(projectIds || []).filter(id => !isBlank(id)).map(String))];
+    if (chosen.length === 0) {
+        errors[field] = 'Please choose at least one project.';
+    } else if (chosen.length > MAX_PROJECTS_PER_CHILD) {
+        errors[field] = `Please choose no more than ${MAX_PROJECTS_PER_CHILD} projects.`;
+    } else if (chosen.some(id => !session.projects.some(p => String(p.projectid) === id))) {
+        errors[field] = `Please choose projects offered in ${session.Sessionname}.`;
+    }
+    return errors;
+}
+
+// Validate that the waiver checkbox was ticked
+function validateWaiver(body, errors = {}) {
+    if (!body.agree) errors.agree = 'You must agree to the waiver and terms to register.';
+    return errors;
+}
+
+// Validate the waiver signature: who signed, how, and that they signed the version now in force
+// `currentVersionId` is the waiver version being shown to parents (a newer one may have been published mid-form)
+function validateSignature(body, currentVersionId, errors = {}) {
+    if (isBlank(body.signer_name)) errors.signer_name = 'Please enter the name of the parent/guardian signing.';
+
+    const type = body.signature_type;
+    if (!SIGNATURE_TYPES.includes(type)) {
+        errors.signature = 'Please sign the waiver.';
+    } else if (type === 'typed' && isBlank(body.signature_typed)) {
+        errors.signature = 'Please type your full name as your signature.';
+    } else if (type === 'drawn' && (!DRAWN_SIGNATURE_RE.test(body.signature_drawn || '') || body.signature_drawn.length > MAX_DRAWN_SIGNATURE_LENGTH)) {
+        errors.signature = 'Please draw your signature in the box.';
+    }
+
+    if (!currentVersionId || String(body.waiver_version) !== String(currentVersionId)) {
+        errors.waiver_version = 'The waiver has been updated since you opened this page. Please read the new version and sign again.';
+    }
+
+    return errors;
+}
+
+// Validate a full registration: parent, each child and their session, and the waiver
+// `children` is the normalized list of child entries; `prefixFor(i)` gives each child's form name prefix
+function validateRegistration(body, children, sessions, options = {}) {
+    const { prefixFor = (i) => `children[${i}]`, allowWaitlist = false, currentSessionId = null, requireEmergencyContact = true } = options;
+    const errors = {};
+
+    validateParent(body, errors);
+    if (children.length === 0) errors.children = 'Please add at least one child.';
+    children.forEach((child, i) => {
+        const prefix = prefixFor(i);
+        validateChild(child, prefix, errors, { requireEmergencyContact });
+        validateSessionChoice(child.selected_session, sessions, prefix ? `${prefix}[selected_session]` : 'selected_session', errors, { allowWaitlist, currentSessionId });
+        const session = sessions.find(s => String(s.Sessionid) === String(child.selected_session));
+        validateProjectChoices(child.projects, session, prefix ? `${prefix}[projects]` : 'projects', errors);
+    });
+    validateWaiver(body, errors);
+
+    return errors;
+}
+
+// Validate the session (schedule) form
+function validateSession(body) {
+    const errors = {};
+
+    if (isBlank(body.Sessionname)) errors.Sessionname = 'Session name is required.';
+    if (isBlank(body.Sessiondesc)) errors.Sessiondesc = 'Description is required.';
+    if (!SEASONS.includes(body.season)) errors.season = 'Please choose a season.';
+
+    const seats = Number(body.numseats);
+    if (!Number.isInteger(seats) || seats < 1) errors.numseats = 'Max seats must be a whole number of at least 1.';
+
+    const start = parseDate(body.startdate);
+    const end = parseDate(body.enddate);
+    if (!start) errors.startdate = 'Please enter a valid start date.';
+    if (!end) errors.enddate = 'Please enter a valid end date.';
+    if (start && end && start > end) errors.enddate = 'End date must be on or after the start date.';
+
+    if (!TIME_RE.test(String(body.starttime || ''))) errors.starttime = 'Please enter a valid start time.';
+    if (!TIME_RE.test(String(body.endtime || ''))) errors.endtime = 'Please enter a valid end time.';
+    if (!errors.starttime && !errors.endtime && String(body.starttime) >= String(body.endtime)) {
+        errors.endtime = 'End time must be after the start time.';
+    }
+
+    // Pricing is optional, but must make sense when given
+    const price = isBlank(body.price) ? null : Number(body.price);
+    const earlyPrice = isBlank(body.earlybird_price) ? null : Number(body.earlybird_price);
+    if (price !== null && !(price >= 0)) errors.price = 'Price must be a positive amount.';
+    if (earlyPrice !== null && !(earlyPrice >= 0)) errors.earlybird_price = 'Early-bird price must be a positive amount.';
+    if (price !== null && earlyPrice !== null && earlyPrice > price) errors.earlybird_price = 'Early-bird price should not be more than the regular price.';
+    if (earlyPrice !== null && isBlank(body.earlybird_deadline)) errors.earlybird_deadline = 'Please set a deadline for the early-bird price.';
+    if (!isBlank(body.earlybird_deadline)) {
+        const deadline = parseDate(body.earlybird_deadline);
+        if (!deadline) errors.earlybird_deadline = 'Please enter a valid early-bird deadline.';
+        else if (start && deadline > start) errors.earlybird_deadline = 'Early-bird deadline must be on or before the start date.';
+    }
+
+    return errors;
+}
+
+module.exports = {
+    SEASONS,
+    MIN_CAMPER_AGE,
+    MAX_CAMPER_AGE,
+    MAX_PROJECTS_PER_CHILD,
+    isBlank,
+    normalizePhone,
+    parseDate,
+    ageFromBirthdate,
+    hasErrors,
+    validateParent,
+    validateChild,
+    validateSessionChoice,
+    validateProjectChoices,
+    validateWaiver,
+    validateSignature,
+    validateRegistration,
+    validateSession
+};